@@ -2,7 +2,26 @@
 // Copy this file to config.js and fill in your actual values
 
 const CALENDAR_CONFIG = {
+    // Where event data is loaded from:
+    //   'static' - the google-calendar-events snapshot written by fetch-events.js
+    //   'auto'   - the snapshot, falling back to the live Calendar API if it fails
+    //   'live'   - always query the Calendar API directly (requires API_KEY)
+    DATA_SOURCE: 'static',
+
+    // Path to the pre-fetched events snapshot
+    EVENTS_DATA_URL: 'google-calendar-events',
+
+    // Path to the pre-geocoded venue coordinates written by geocode-venues.js
+    VENUES_DATA_URL: 'venues.json',
+
+    // Path to the hand-maintained venue aliases and coordinate overrides
+    VENUE_REGISTRY_URL: 'venue-registry.json',
+
+    // Warn visitors when the snapshot is older than this many hours
+    SNAPSHOT_STALE_HOURS: 36,
+
     // Get this from Google Cloud Console after enabling Calendar API
+    // Only needed when DATA_SOURCE is 'auto' or 'live'
     API_KEY: 'your-google-calendar-api-key-here',
 
     // Get this from your VFVIC Google Calendar settings
@@ -19,11 +38,49 @@ const CALENDAR_CONFIG = {
         zoom: 8
     },
 
-    // Maximum number of events to load
-    MAX_EVENTS: 50,
+    // Maximum number of events to load from the live API (results are paged,
+    // so this can exceed the API's per-request limit)
+    MAX_EVENTS: 250,
+
+    // How many days ahead to load events for
+    FETCH_HORIZON_DAYS: 90,
+
+    // How many days back to load events for. Past events aren't listed, but
+    // a shared link to one says when it took place instead of "not found".
+    // They count towards MAX_EVENTS.
+    FETCH_LOOKBACK_DAYS: 30,
 
     // Enable/disable geocoding (set to false to use predefined coordinates)
-    ENABLE_GEOCODING: true
+    ENABLE_GEOCODING: true,
+
+    // Geocoding providers, tried in this order until one finds a result:
+    //   'registry'     - venue-registry.json
+    //   'venues'       - venues.json written by geocode-venues.js
+    //   'outcodes'     - bundled North East outcode centres (partial postcodes, offline)
+    //   'google'       - Google Geocoding API (needs GEOCODING_API_KEY)
+    //   'postcodes.io' - free UK postcode lookups
+    //   'nominatim'    - OpenStreetMap search (postcodes and place names only)
+    //   'mock'         - canned GEOCODER_MOCK_RESULTS, for offline development
+    GEOCODER_PROVIDERS: ['registry', 'venues', 'outcodes', 'google', 'postcodes.io', 'nominatim'],
+
+    // Additions and changes to the event categories defined in js/categories.js,
+    // merged by id. Give a new id to add a category, a partial entry to change
+    // one, or `disabled: true` to remove one. For example:
+    //   { id: 'mental-health', label: 'Mental Health', color: 'bg-teal-500',
+    //     hex: '#14b8a6', icon: '🧠', include: ['mental health', 'ptsd'], priority: 15 },
+    //   { id: 'support', exclude: ['tech support'] },
+    //   { id: 'social', include: ['social', { keyword: 'party', unless: ['party wall'] }] }
+    CATEGORY_TAXONOMY: [],
+
+    // Additions and changes to the rules in js/event-rules.js that decide which
+    // calendar entries are hidden, merged by id. fetch-events.js applies the
+    // same rules when building the snapshot. Exclude rules hide matching
+    // entries; include rules win over them. For example:
+    //   { id: 'admin-entries', action: 'exclude', organizerEmail: 'admin@example.org' },
+    //   { id: 'cancelled-colour', action: 'exclude', colorId: '8' },
+    //   { id: 'keep-remembrance', action: 'include', titlePattern: '^remembrance' },
+    //   { id: 'useful-information', disabled: true }
+    EVENT_RULES: []
 };
 
 // Export for use in script.js
@@ -4,11 +4,30 @@
 
 const https = require('https');
 const fs = require('fs');
+const crypto = require('crypto');
+const { DEFAULT_EVENT_RULES, resolveEventRules, applyEventRules } = require('./js/event-rules');
 
 // Get config from environment variables or command line args
 const API_KEY = process.env.GOOGLE_CALENDAR_API_KEY || process.argv[2];
 const CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID || process.argv[3];
-const MAX_EVENTS = 50;
+const OUTPUT_FILE = 'google-calendar-events';
+
+// How far ahead to fetch, and a hard cap on the number of events kept.
+// Busy months easily exceed a single API page, so pages are followed until
+// either limit is reached.
+const HORIZON_DAYS = parseInt(process.env.FETCH_HORIZON_DAYS, 10) || 90;
+// How far back to fetch, so shared links to recent events can say when they
+// took place. The page doesn't list events from before today.
+const LOOKBACK_DAYS = parseInt(process.env.FETCH_LOOKBACK_DAYS, 10) || 30;
+const MAX_EVENTS = parseInt(process.env.FETCH_MAX_EVENTS, 10) || 1000;
+const PAGE_SIZE = 250;
+
+// Bump when the shape of the output document changes.
+// Version 1 was the bare ` "items": [...]` fragment written by earlier releases.
+const SCHEMA_VERSION = 2;
+
+// Same inclusion/exclusion rules as the browser, including any EVENT_RULES in config.js
+const EVENT_RULES = resolveEventRules(DEFAULT_EVENT_RULES, loadConfiguredRules());
 
 if (!API_KEY || !CALENDAR_ID) {
     console.error('Error: GOOGLE_CALENDAR_API_KEY environment variable is required');
@@ -17,62 +36,141 @@ if (!API_KEY || !CALENDAR_ID) {
   process.exit(1);
 }
 
-// Build API URL
-const timeMin = new Date().toISOString();
-const url = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(CALENDAR_ID)}/events?key=${API_KEY}&timeMin=${timeMin}&singleEvents=true&orderBy=startTime&maxResults=${MAX_EVENTS}`;
+// Time window for the fetch
+const now = new Date();
+const timeMin = new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+const timeMax = new Date(now.getTime() + HORIZON_DAYS * 24 * 60 * 60 * 1000).toISOString();
 
 console.log('Fetching events from Google Calendar...');
 console.log(`Calendar ID: ${CALENDAR_ID}`);
+console.log(`Time window: ${timeMin} to ${timeMax} (max ${MAX_EVENTS} events)`);
+
+fetchAllEvents()
+  .then(({ items, truncated }) => {
+    if (items.length === 0) {
+      console.warn('Warning: No events found in calendar');
+      // Still write a snapshot so the page can report when it was refreshed
+      writeSnapshot(items, truncated);
+      console.log('Saved empty events file');
+      return;
+    }
+
+    console.log(`Found ${items.length} events`);
 
-https.get(url, (res) => {
-  let data = '';
+    if (truncated) {
+      console.warn(`Warning: Stopped at ${MAX_EVENTS} events - later events in the window were not fetched`);
+    }
 
-  res.on('data', (chunk) => {
-    data += chunk;
+    writeSnapshot(items, truncated);
+
+    console.log(`Successfully saved ${items.length} events to ${OUTPUT_FILE}`);
+    console.log('Event date range:',
+      items[0]?.start?.dateTime || items[0]?.start?.date,
+      'to',
+      items[items.length - 1]?.start?.dateTime || items[items.length - 1]?.start?.date
+    );
+  })
+  .catch((error) => {
+    console.error('Error fetching events:', error.message);
+    process.exit(1);
   });
 
-  res.on('end', () => {
-    if (res.statusCode !== 200) {
-      console.error(`Error: API returned status ${res.statusCode}`);
-      console.error(data);
-      process.exit(1);
-    }
+// Follow nextPageToken until the calendar is exhausted or MAX_EVENTS is reached
+async function fetchAllEvents() {
+  const items = [];
+  let pageToken = null;
+  let page = 0;
 
-    try {
-      const jsonData = JSON.parse(data);
-
-      if (!jsonData.items || jsonData.items.length === 0) {
-        console.warn('Warning: No events found in calendar');
-        // Still write empty items array
-        const output = ' "items": []\n';
-        fs.writeFileSync('google-calendar-events', output);
-        console.log('Saved empty events file');
-        process.exit(0);
-      }
-
-      console.log(`Found ${jsonData.items.length} events`);
-
-      // Format the output to match the existing file format
-      // (starts with "items": instead of being a complete JSON object)
-      const output = ' "items": ' + JSON.stringify(jsonData.items, null, 1) + '\n';
-
-      // Write to google-calendar-events file
-      fs.writeFileSync('google-calendar-events', output);
-
-      console.log(`Successfully saved ${jsonData.items.length} events to google-calendar-events`);
-      console.log('Event date range:',
-        jsonData.items[0]?.start?.dateTime || jsonData.items[0]?.start?.date,
-        'to',
-        jsonData.items[jsonData.items.length - 1]?.start?.dateTime || jsonData.items[jsonData.items.length - 1]?.start?.date
-      );
-
-    } catch (error) {
-      console.error('Error parsing API response:', error.message);
-      process.exit(1);
-    }
+  do {
+    const data = await fetchJson(buildEventsUrl(pageToken));
+    page++;
+
+    // Filter as we go so excluded entries don't count towards MAX_EVENTS
+    const { kept, report } = applyEventRules(data.items || [], EVENT_RULES);
+    items.push(...kept);
+    pageToken = data.nextPageToken || null;
+
+    console.log(`Fetched page ${page}: ${(data.items || []).length} events, ${report.length} excluded by rules`);
+    report.forEach((row) => {
+      console.log(`  Excluded by "${row.rule}": ${row.title} (${row.start})`);
+    });
+  } while (pageToken && items.length < MAX_EVENTS);
+
+  // Anything left unfetched or trimmed off means the snapshot is incomplete
+  const truncated = Boolean(pageToken) || items.length > MAX_EVENTS;
+
+  return { items: items.slice(0, MAX_EVENTS), truncated };
+}
+
+// config.js only exists once config.example.js has been copied into place
+function loadConfiguredRules() {
+  try {
+    return require('./config.js').EVENT_RULES;
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    console.log('No config.js found - using the default event rules');
+    return [];
+  }
+}
+
+function buildEventsUrl(pageToken) {
+  const params = new URLSearchParams({
+    key: API_KEY,
+    timeMin: timeMin,
+    timeMax: timeMax,
+    singleEvents: 'true',
+    orderBy: 'startTime',
+    maxResults: String(PAGE_SIZE)
   });
 
-}).on('error', (error) => {
-  console.error('Error fetching events:', error.message);
-  process.exit(1);
-});
+  if (pageToken) {
+    params.set('pageToken', pageToken);
+  }
+
+  return `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(CALENDAR_ID)}/events?${params}`;
+}
+
+function fetchJson(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`API returned status ${res.statusCode}\n${data}`));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error(`Error parsing API response: ${error.message}`));
+        }
+      });
+
+    }).on('error', reject);
+  });
+}
+
+// Write the events snapshot as a complete JSON document with fetch metadata
+function writeSnapshot(items, truncated) {
+  const snapshot = {
+    schemaVersion: SCHEMA_VERSION,
+    fetchedAt: new Date().toISOString(),
+    // Hashed so the public snapshot doesn't reveal the calendar address
+    calendarIdHash: crypto.createHash('sha256').update(CALENDAR_ID).digest('hex').slice(0, 16),
+    timeWindow: {
+      timeMin: timeMin,
+      timeMax: timeMax
+    },
+    itemCount: items.length,
+    truncated: truncated,
+    items: items
+  };
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(snapshot, null, 1) + '\n');
+}
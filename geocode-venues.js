@@ -0,0 +1,182 @@
+// geocode-venues.js
+// Geocodes each distinct event location in google-calendar-events once and
+// saves the results to venues.json, so visitors' browsers don't have to.
+// Run after fetch-events.js. Existing entries in venues.json are reused.
+
+const https = require('https');
+const fs = require('fs');
+const { SCHEMA_VERSION, normaliseLocationKey, matchVenueRegistry } = require('./js/venue-cache');
+
+const API_KEY = process.env.GEOCODING_API_KEY || process.argv[2];
+const EVENTS_FILE = 'google-calendar-events';
+const OUTPUT_FILE = 'venues.json';
+const REGISTRY_FILE = 'venue-registry.json';
+
+// Drop venues that haven't appeared in the calendar for this long
+const PRUNE_AFTER_DAYS = 365;
+
+// Pause between geocoding requests to stay well under Google's rate limit
+const REQUEST_DELAY_MS = 100;
+
+if (!API_KEY) {
+  console.error('Error: GEOCODING_API_KEY environment variable is required');
+  console.error('Usage: node geocode-venues.js [GEOCODING_API_KEY]');
+  process.exit(1);
+}
+
+main().catch((error) => {
+  console.error('Error geocoding venues:', error.message);
+  process.exit(1);
+});
+
+async function main() {
+  const items = readEventItems();
+  const venues = readExistingVenues();
+  const registry = readRegistry();
+  const now = new Date().toISOString();
+
+  // Collect distinct locations, keeping the first spelling seen for each key.
+  // Locations covered by the venue registry already have known coordinates.
+  const locations = new Map();
+  items.forEach((item) => {
+    const key = normaliseLocationKey(item.location);
+    if (key && !locations.has(key) && !matchVenueRegistry(registry, item.location)) {
+      locations.set(key, item.location.trim());
+    }
+  });
+
+  console.log(`Found ${locations.size} distinct locations in ${items.length} events`);
+
+  let geocoded = 0;
+  let reused = 0;
+  let failed = 0;
+
+  for (const [key, location] of locations) {
+    if (venues[key]) {
+      venues[key].lastSeenAt = now;
+      reused++;
+      continue;
+    }
+
+    try {
+      const result = await geocode(location);
+      venues[key] = {
+        location: location,
+        lat: result.lat,
+        lng: result.lng,
+        formattedAddress: result.formattedAddress,
+        geocodedAt: now,
+        lastSeenAt: now
+      };
+      geocoded++;
+      console.log(`Geocoded "${location}"`);
+    } catch (error) {
+      // Left out of the cache so the next run tries again
+      failed++;
+      console.warn(`Warning: Could not geocode "${location}": ${error.message}`);
+    }
+
+    await delay(REQUEST_DELAY_MS);
+  }
+
+  const pruneBefore = Date.now() - PRUNE_AFTER_DAYS * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+  Object.keys(venues).forEach((key) => {
+    if (new Date(venues[key].lastSeenAt).getTime() < pruneBefore) {
+      delete venues[key];
+      pruned++;
+    }
+  });
+
+  const output = {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: now,
+    venueCount: Object.keys(venues).length,
+    venues: venues
+  };
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 1) + '\n');
+
+  console.log(`Saved ${output.venueCount} venues to ${OUTPUT_FILE} (${geocoded} geocoded, ${reused} reused, ${failed} failed, ${pruned} pruned)`);
+}
+
+// Accepts both the versioned snapshot and the legacy ` "items": [...]` fragment
+function readEventItems() {
+  const text = fs.readFileSync(EVENTS_FILE, 'utf8').trim();
+  const data = JSON.parse(text.startsWith('{') ? text : `{${text}}`);
+  return Array.isArray(data.items) ? data.items : [];
+}
+
+function readExistingVenues() {
+  if (!fs.existsSync(OUTPUT_FILE)) {
+    return {};
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf8'));
+    if (data.schemaVersion !== SCHEMA_VERSION) {
+      console.warn(`Warning: Ignoring ${OUTPUT_FILE} with schema version ${data.schemaVersion}`);
+      return {};
+    }
+    return data.venues || {};
+  } catch (error) {
+    console.warn(`Warning: Could not read ${OUTPUT_FILE}, starting afresh: ${error.message}`);
+    return {};
+  }
+}
+
+function readRegistry() {
+  if (!fs.existsSync(REGISTRY_FILE)) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8')).venues || [];
+  } catch (error) {
+    console.warn(`Warning: Could not read ${REGISTRY_FILE}: ${error.message}`);
+    return [];
+  }
+}
+
+function geocode(address) {
+  const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&region=uk&key=${API_KEY}`;
+
+  return new Promise((resolve, reject) => {
+    https.get(url, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`Geocoding API returned status ${res.statusCode}`));
+          return;
+        }
+
+        try {
+          const json = JSON.parse(data);
+          if (json.status !== 'OK' || !json.results || json.results.length === 0) {
+            reject(new Error(`Geocoding API status ${json.status}${json.error_message ? `: ${json.error_message}` : ''}`));
+            return;
+          }
+
+          const result = json.results[0];
+          resolve({
+            lat: result.geometry.location.lat,
+            lng: result.geometry.location.lng,
+            formattedAddress: result.formatted_address
+          });
+        } catch (error) {
+          reject(new Error(`Error parsing geocoding response: ${error.message}`));
+        }
+      });
+
+    }).on('error', reject);
+  });
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
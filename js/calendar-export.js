@@ -0,0 +1,337 @@
+// =============================================================================
+// CALENDAR EXPORT
+// Builds iCalendar (.ics) files and "add to calendar" links for Google
+// Calendar and Outlook on the web, entirely in the browser. Times are written
+// in Europe/London so recurring sessions keep their local time across the
+// clocks changing.
+// =============================================================================
+
+const CALENDAR_TIMEZONE = "Europe/London";
+
+// UK daylight saving rules: BST from the last Sunday in March to the last
+// Sunday in October
+const LONDON_VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  "TZID:Europe/London",
+  "X-LIC-LOCATION:Europe/London",
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0000",
+  "TZOFFSETTO:+0100",
+  "TZNAME:BST",
+  "DTSTART:19700329T010000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0000",
+  "TZNAME:GMT",
+  "DTSTART:19701025T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+const ICAL_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const londonFormatter = new Intl.DateTimeFormat("en-GB", {
+  timeZone: CALENDAR_TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+/**
+ * Wall-clock date and time in London for an instant
+ * @param {Date} date - Instant to convert
+ * @returns {Object} year, month, day, hour, minute and second as strings
+ */
+function getLondonParts(date) {
+  const parts = {};
+  londonFormatter.formatToParts(date).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+  return parts;
+}
+
+function formatLondonDateTime(date) {
+  const p = getLondonParts(date);
+  return `${p.year}${p.month}${p.day}T${p.hour}${p.minute}${p.second}`;
+}
+
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function formatDateValue(dateString) {
+  return dateString.replace(/-/g, "");
+}
+
+// All-day end dates are exclusive, so a one-day event ends the next day
+function getAllDayEnd(entry) {
+  if (entry.end && entry.end > entry.start) return entry.end;
+
+  const next = new Date(`${entry.start}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().split("T")[0];
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 section 3.3.11)
+ */
+function escapeIcsText(text) {
+  return String(text || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const folded = [];
+  let current = "";
+
+  for (const char of line) {
+    const limit = folded.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      folded.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  folded.push(current);
+
+  return folded.join("\r\n ");
+}
+
+/**
+ * Guess a recurrence rule from the known occurrences of a series. Only the
+ * next few months of events are loaded, so the rule stops after the last
+ * known occurrence rather than repeating past the dates we have.
+ * @param {Array<string>} starts - ISO start date-times of the occurrences,
+ *   beginning with the one being exported
+ * @returns {string|null} RRULE value (e.g. "FREQ=WEEKLY;BYDAY=TU;COUNT=6"),
+ *   or null when the occurrences don't follow a simple pattern
+ */
+function inferRecurrenceRule(starts) {
+  // Compare London calendar dates so the clocks changing doesn't skew gaps
+  const dates = Array.from(
+    new Set(
+      starts.map((start) => {
+        const p = getLondonParts(new Date(start));
+        return `${p.year}-${p.month}-${p.day}`;
+      })
+    )
+  )
+    .sort()
+    .map((date) => new Date(`${date}T00:00:00Z`));
+
+  if (dates.length < 2) return null;
+
+  const pattern = getRecurrencePattern(dates);
+  return pattern ? `${pattern};COUNT=${dates.length}` : null;
+}
+
+/**
+ * Recurrence pattern of a series, without an end
+ * @param {Array<Date>} dates - Distinct occurrence dates, in order (UTC
+ *   midnight), at least two
+ * @returns {string|null} e.g. "FREQ=WEEKLY;BYDAY=TU", or null
+ */
+function getRecurrencePattern(dates) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const gaps = dates
+    .slice(1)
+    .map((date, i) => Math.round((date - dates[i]) / DAY_MS));
+  const weekday = ICAL_WEEKDAYS[dates[0].getUTCDay()];
+
+  const isEvenlySpaced = gaps.every((gap) => gap === gaps[0]);
+  const weeklyRule = () => {
+    const interval = gaps[0] / 7;
+    return interval === 1
+      ? `FREQ=WEEKLY;BYDAY=${weekday}`
+      : `FREQ=WEEKLY;INTERVAL=${interval};BYDAY=${weekday}`;
+  };
+
+  if (isEvenlySpaced && gaps[0] === 1) return "FREQ=DAILY";
+  if (isEvenlySpaced && gaps[0] % 7 === 0 && gaps[0] < 28) {
+    return weeklyRule();
+  }
+
+  // Monthly patterns need one occurrence in each consecutive month. They're
+  // checked before four- and five-weekly gaps, which "first Tuesday of the
+  // month" sessions often happen to produce over a short window.
+  const isConsecutiveMonths = dates.slice(1).every((date, i) => {
+    const previous = dates[i];
+    return (
+      (date.getUTCFullYear() - previous.getUTCFullYear()) * 12 +
+        date.getUTCMonth() -
+        previous.getUTCMonth() ===
+      1
+    );
+  });
+
+  if (isConsecutiveMonths) {
+    const dayOfMonth = dates[0].getUTCDate();
+    if (dates.every((date) => date.getUTCDate() === dayOfMonth)) {
+      return `FREQ=MONTHLY;BYMONTHDAY=${dayOfMonth}`;
+    }
+
+    // e.g. "first Tuesday of the month"
+    const week = Math.ceil(dayOfMonth / 7);
+    const sameWeekday = dates.every(
+      (date) =>
+        ICAL_WEEKDAYS[date.getUTCDay()] === weekday &&
+        Math.ceil(date.getUTCDate() / 7) === week
+    );
+    if (sameWeekday && week <= 4) {
+      return `FREQ=MONTHLY;BYDAY=${week}${weekday}`;
+    }
+  }
+
+  if (isEvenlySpaced && gaps[0] % 7 === 0) return weeklyRule();
+
+  return null;
+}
+
+/**
+ * Build an iCalendar document
+ * @param {Array<Object>} entries - Calendar entries, each with:
+ *   uid, title, description, location, url, rrule (optional),
+ *   allDay, start and end (ISO date for all-day entries, with an exclusive
+ *   end date; otherwise ISO date-times)
+ * @returns {string} .ics file content
+ */
+function buildIcs(entries) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//VFVIC//Veterans Diary Map//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+
+  if (entries.some((entry) => !entry.allDay)) {
+    lines.push(...LONDON_VTIMEZONE);
+  }
+
+  const stamp = formatUtcDateTime(new Date());
+
+  entries.forEach((entry) => {
+    lines.push("BEGIN:VEVENT", `UID:${entry.uid}`, `DTSTAMP:${stamp}`);
+
+    if (entry.allDay) {
+      lines.push(
+        `DTSTART;VALUE=DATE:${formatDateValue(entry.start)}`,
+        `DTEND;VALUE=DATE:${formatDateValue(getAllDayEnd(entry))}`
+      );
+    } else {
+      lines.push(
+        `DTSTART;TZID=${CALENDAR_TIMEZONE}:${formatLondonDateTime(
+          new Date(entry.start)
+        )}`,
+        `DTEND;TZID=${CALENDAR_TIMEZONE}:${formatLondonDateTime(
+          new Date(entry.end || entry.start)
+        )}`
+      );
+    }
+
+    if (entry.rrule) lines.push(`RRULE:${entry.rrule}`);
+
+    lines.push(`SUMMARY:${escapeIcsText(entry.title)}`);
+    if (entry.description) {
+      lines.push(`DESCRIPTION:${escapeIcsText(entry.description)}`);
+    }
+    if (entry.location) {
+      lines.push(`LOCATION:${escapeIcsText(entry.location)}`);
+    }
+    if (entry.url) lines.push(`URL:${entry.url}`);
+
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Prefilled "create event" link for Google Calendar
+ * @param {Object} entry - Calendar entry, as for buildIcs()
+ * @returns {string} URL
+ */
+function buildGoogleCalendarUrl(entry) {
+  const dates = entry.allDay
+    ? `${formatDateValue(entry.start)}/${formatDateValue(getAllDayEnd(entry))}`
+    : `${formatUtcDateTime(new Date(entry.start))}/${formatUtcDateTime(
+        new Date(entry.end || entry.start)
+      )}`;
+
+  const params = new URLSearchParams({
+    action: "TEMPLATE",
+    text: entry.title,
+    dates: dates,
+    details: entry.description || "",
+    location: entry.location || "",
+    ctz: CALENDAR_TIMEZONE,
+  });
+  if (entry.rrule) params.set("recur", `RRULE:${entry.rrule}`);
+
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+/**
+ * Prefilled "new event" link for Outlook on the web (single occurrence only -
+ * Outlook's link format has no recurrence option)
+ * @param {Object} entry - Calendar entry, as for buildIcs()
+ * @returns {string} URL
+ */
+function buildOutlookUrl(entry) {
+  const params = new URLSearchParams({
+    path: "/calendar/action/compose",
+    rru: "addevent",
+    subject: entry.title,
+    body: entry.description || "",
+    location: entry.location || "",
+  });
+
+  if (entry.allDay) {
+    params.set("startdt", entry.start);
+    params.set("enddt", getAllDayEnd(entry));
+    params.set("allday", "true");
+  } else {
+    params.set("startdt", new Date(entry.start).toISOString());
+    params.set("enddt", new Date(entry.end || entry.start).toISOString());
+  }
+
+  return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+}
+
+/**
+ * Offer a generated .ics file as a download
+ * @param {string} filename - Suggested file name, including ".ics"
+ * @param {string} content - File content from buildIcs()
+ */
+function downloadIcs(filename, content) {
+  window.EventMapUtils.downloadFile(
+    filename,
+    content,
+    "text/calendar;charset=utf-8"
+  );
+}
+
+window.CalendarExport = {
+  buildIcs,
+  buildGoogleCalendarUrl,
+  buildOutlookUrl,
+  inferRecurrenceRule,
+  downloadIcs,
+};
@@ -0,0 +1,328 @@
+// =============================================================================
+// EVENT CATEGORY TAXONOMY
+// Declarative category definitions used to tag events and to colour and label
+// them throughout the UI. Extend or override via CALENDAR_CONFIG.CATEGORY_TAXONOMY.
+// =============================================================================
+
+/**
+ * Each category:
+ *   id        - stable identifier stored on events
+ *   label     - display name
+ *   color     - Tailwind background class for badges
+ *   hex       - the same colour as a hex value, for map markers
+ *   icon      - glyph shown on markers and in the legend
+ *   include   - keywords matched anywhere in the title or description. A
+ *               keyword can also be {keyword, unless, unlessInDescription},
+ *               which doesn't count when any `unless` keyword is in the title
+ *               or description, or any `unlessInDescription` keyword is in
+ *               the description
+ *   titleOnly - keywords matched in the title only
+ *   exclude   - keywords that veto the category even if others match
+ *   priority  - lower numbers win when choosing an event's primary category
+ */
+const DEFAULT_CATEGORY_TAXONOMY = [
+  {
+    id: "drop-in",
+    label: "Drop-In Centre",
+    color: "bg-blue-500",
+    hex: "#3b82f6",
+    icon: "☕",
+    include: ["drop in", "drop-in"],
+    priority: 10,
+  },
+  {
+    id: "support",
+    label: "Support Group",
+    color: "bg-green-500",
+    hex: "#22c55e",
+    icon: "🤝",
+    include: ["support", "counselling", "therapy", "help", "advice", "welfare"],
+    priority: 20,
+  },
+  {
+    id: "breakfast-club",
+    label: "Breakfast Club",
+    color: "bg-orange-500",
+    hex: "#f97316",
+    icon: "🍳",
+    include: [
+      "breakfast club",
+      { keyword: "breakfast", unless: ["clay pigeon"] },
+      { keyword: "naafi break", unlessInDescription: ["drop in"] },
+    ],
+    priority: 30,
+  },
+  {
+    id: "meeting",
+    label: "Association Meeting",
+    color: "bg-gray-700",
+    hex: "#374151",
+    icon: "🏛️",
+    include: [
+      "meeting",
+      "branch meeting",
+      "association",
+      "rbl",
+      "royal british legion",
+      "dli",
+    ],
+    priority: 40,
+  },
+  {
+    id: "workshop",
+    label: "Workshop",
+    color: "bg-yellow-500",
+    hex: "#eab308",
+    icon: "🛠️",
+    include: ["workshop", "training", "course", "seminar"],
+    priority: 50,
+  },
+  {
+    id: "social",
+    label: "Social Event",
+    color: "bg-purple-500",
+    hex: "#a855f7",
+    icon: "🎉",
+    include: ["social", "mixer", "party", "celebration"],
+    priority: 60,
+  },
+  {
+    id: "sport",
+    label: "Sport & Recreation",
+    color: "bg-red-500",
+    hex: "#ef4444",
+    icon: "⚽",
+    include: [
+      "clay pigeon",
+      "shooting",
+      "football",
+      "rugby",
+      "sailing",
+      "fishing",
+      "golf",
+      "cycling",
+      "walking",
+      "hiking",
+      "swimming",
+    ],
+    titleOnly: ["sport"],
+    priority: 70,
+  },
+];
+
+// Used for events that match no category, and for unknown ids
+const OTHER_CATEGORY = {
+  id: "other",
+  label: "Other",
+  color: "bg-gray-400",
+  hex: "#9ca3af",
+  icon: "📌",
+  priority: Infinity,
+};
+
+class CategoryTaxonomy {
+  /**
+   * @param {Array<Object>} categories - Base category definitions
+   * @param {Array<Object>} [overrides] - Entries merged in by id. Partial entries
+   *   update an existing category, new ids add one, `disabled: true` removes one.
+   */
+  constructor(categories = DEFAULT_CATEGORY_TAXONOMY, overrides = []) {
+    const byId = new Map(categories.map((category) => [category.id, category]));
+
+    (overrides || []).forEach((override) => {
+      if (!override || !override.id) {
+        console.warn("[Categories] Ignoring taxonomy entry without an id");
+        return;
+      }
+      if (override.disabled) {
+        byId.delete(override.id);
+        return;
+      }
+      byId.set(override.id, { ...byId.get(override.id), ...override });
+    });
+
+    this.categories = Array.from(byId.values())
+      .filter((category) => category.id !== OTHER_CATEGORY.id)
+      .map((category) => ({
+        ...OTHER_CATEGORY,
+        label: category.id,
+        priority: 100,
+        ...category,
+        include: (category.include || []).map((keyword) =>
+          this.normaliseKeywordRule(keyword)
+        ),
+        titleOnly: this.normaliseKeywords(category.titleOnly),
+        exclude: this.normaliseKeywords(category.exclude),
+      }))
+      .sort((a, b) => a.priority - b.priority);
+
+    this.other = { ...OTHER_CATEGORY, ...byId.get(OTHER_CATEGORY.id) };
+  }
+
+  normaliseKeywords(keywords) {
+    return (keywords || []).map((keyword) => keyword.toLowerCase());
+  }
+
+  normaliseKeywordRule(rule) {
+    const { keyword, unless, unlessInDescription } =
+      typeof rule === "string" ? { keyword: rule } : rule;
+
+    return {
+      keyword: keyword.toLowerCase(),
+      unless: this.normaliseKeywords(unless),
+      unlessInDescription: this.normaliseKeywords(unlessInDescription),
+    };
+  }
+
+  /**
+   * Tag an event from its title and description
+   * @param {string} title - Event title
+   * @param {string} description - Event description, with directives removed
+   * @param {Object} [directives] - Explicit tags from parseDirectives()
+   * @param {Array<string>} [directives.tags] - Added to the keyword matches
+   * @param {string|null} [directives.category] - Replaces the keyword matches
+   *   and becomes the primary category
+   * @returns {{tags: Array<string>, primary: string}} Matching category ids in
+   *   priority order, and the highest-priority one
+   */
+  categorize(title, description, directives = {}) {
+    const explicitTags = directives.tags || [];
+
+    if (directives.category) {
+      return {
+        tags: [
+          directives.category,
+          ...this.sortIds(
+            explicitTags.filter((id) => id !== directives.category)
+          ),
+        ],
+        primary: directives.category,
+      };
+    }
+
+    const titleLower = (title || "").toLowerCase();
+    const descLower = (description || "").toLowerCase();
+    const combined = titleLower + " " + descLower;
+
+    const matched = this.categories
+      .filter((category) => {
+        const matches =
+          category.include.some(
+            (rule) =>
+              combined.includes(rule.keyword) &&
+              !rule.unless.some((keyword) => combined.includes(keyword)) &&
+              !rule.unlessInDescription.some((keyword) =>
+                descLower.includes(keyword)
+              )
+          ) ||
+          category.titleOnly.some((keyword) => titleLower.includes(keyword));
+        const excluded = category.exclude.some((keyword) =>
+          combined.includes(keyword)
+        );
+        return matches && !excluded;
+      })
+      .map((category) => category.id);
+
+    const tags = this.sortIds([...new Set([...matched, ...explicitTags])]);
+
+    return {
+      tags: tags,
+      primary: tags.length > 0 ? tags[0] : this.other.id,
+    };
+  }
+
+  /**
+   * Read the category directives organisers can write in a calendar
+   * description, and remove them so they aren't displayed:
+   *   #tags: sport, social    - add these categories to the keyword matches
+   *   [category: workshop]    - use this category instead of guessing
+   * Values may be a category id or label, in any case. Unknown values are
+   * logged and ignored.
+   * @param {string} description - Raw description (may contain HTML)
+   * @returns {{description: string, tags: Array<string>, category: string|null}}
+   */
+  parseDirectives(description) {
+    const tags = [];
+    let category = null;
+
+    let cleaned = (description || "").replace(
+      /\[\s*category\s*:\s*([^\]]*)\]/gi,
+      (match, value) => {
+        category = this.resolve(value) || category;
+        return "";
+      }
+    );
+
+    cleaned = cleaned.replace(/#tags?\s*:([^\n<]*)/gi, (match, values) => {
+      values.split(",").forEach((value) => {
+        const id = this.resolve(value);
+        if (id && !tags.includes(id)) tags.push(id);
+      });
+      return "";
+    });
+
+    return { description: cleaned.trim(), tags: tags, category: category };
+  }
+
+  /**
+   * Find the category a directive value refers to
+   * @param {string} value - Category id or label, e.g. "breakfast club"
+   * @returns {string|null} Category id, or null if unknown
+   */
+  resolve(value) {
+    const wanted = (value || "")
+      .replace(/&amp;/gi, "&")
+      .trim()
+      .toLowerCase();
+    if (!wanted) return null;
+
+    const slug = wanted.replace(/\s+/g, "-");
+    const match = [...this.categories, this.other].find(
+      (category) =>
+        category.id === wanted ||
+        category.id === slug ||
+        category.label.toLowerCase() === wanted
+    );
+
+    if (!match) {
+      console.warn(
+        `[Categories] Unknown category "${value.trim()}" in description`
+      );
+      return null;
+    }
+    return match.id;
+  }
+
+  /**
+   * Get a category definition, falling back to "Other" for unknown ids
+   * @param {string} id - Category id
+   * @returns {Object} Category definition
+   */
+  get(id) {
+    if (id === this.other.id) return this.other;
+
+    return (
+      this.categories.find((category) => category.id === id) || {
+        ...this.other,
+        id: id,
+        label: id,
+      }
+    );
+  }
+
+  has(id) {
+    return id === this.other.id || this.categories.some((c) => c.id === id);
+  }
+
+  /**
+   * Sort category ids into taxonomy priority order
+   * @param {Array<string>} ids - Category ids
+   * @returns {Array<string>} Sorted copy
+   */
+  sortIds(ids) {
+    return [...ids].sort((a, b) => this.get(a).priority - this.get(b).priority);
+  }
+}
+
+window.CategoryTaxonomy = CategoryTaxonomy;
+window.DEFAULT_CATEGORY_TAXONOMY = DEFAULT_CATEGORY_TAXONOMY;
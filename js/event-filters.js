@@ -0,0 +1,230 @@
+// =============================================================================
+// EVENT FILTERS
+// Category, day-of-week and time-of-day matching for the filter chips, e.g.
+// "breakfast clubs OR drop-ins, on Saturdays or Sundays, in the morning", and
+// date ranges for the quick date filters and the from/to pickers
+// =============================================================================
+
+// Ids as used in the URL (?days=sat,sun), in display order
+const DAYS_OF_WEEK = [
+  { id: "mon", label: "Mon", name: "Monday", day: 1 },
+  { id: "tue", label: "Tue", name: "Tuesday", day: 2 },
+  { id: "wed", label: "Wed", name: "Wednesday", day: 3 },
+  { id: "thu", label: "Thu", name: "Thursday", day: 4 },
+  { id: "fri", label: "Fri", name: "Friday", day: 5 },
+  { id: "sat", label: "Sat", name: "Saturday", day: 6 },
+  { id: "sun", label: "Sun", name: "Sunday", day: 0 },
+];
+
+// Start times, "HH:MM" from (inclusive) and to (exclusive)
+const TIMES_OF_DAY = [
+  {
+    id: "morning",
+    label: "Morning",
+    description: "Starts before 12:00",
+    from: "00:00",
+    to: "12:00",
+  },
+  {
+    id: "afternoon",
+    label: "Afternoon",
+    description: "Starts 12:00–16:59",
+    from: "12:00",
+    to: "17:00",
+  },
+  {
+    id: "evening",
+    label: "Evening",
+    description: "Starts 17:00 or later",
+    from: "17:00",
+    to: "24:00",
+  },
+];
+
+/**
+ * Whether an event is tagged with a category
+ * @param {Object} event - Event with category and categories
+ * @param {string} id - Category id
+ * @returns {boolean}
+ */
+function hasCategory(event, id) {
+  return event.category === id || Boolean(event.categories?.includes(id));
+}
+
+/**
+ * Day of the week an event falls on
+ * @param {Object} event - Event with an ISO date
+ * @returns {string} Day id from DAYS_OF_WEEK, e.g. "sat"
+ */
+function getEventDay(event) {
+  const day = new Date(`${event.date}T00:00:00Z`).getUTCDay();
+  return DAYS_OF_WEEK.find((d) => d.day === day).id;
+}
+
+/**
+ * Days of the week an event takes place on: every day from its start date to
+ * its end date for multi-day events
+ * @param {Object} event - Event with an ISO date and, for multi-day events,
+ *   endDate (the last day, inclusive)
+ * @returns {Set<string>} Day ids from DAYS_OF_WEEK
+ */
+function getEventDays(event) {
+  const days = new Set([getEventDay(event)]);
+  const date = new Date(`${event.date}T00:00:00Z`);
+  const end = new Date(`${event.endDate || event.date}T00:00:00Z`);
+
+  // Stop after a week, by which time every day is covered
+  while (date < end && days.size < DAYS_OF_WEEK.length) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    days.add(getEventDay({ date: date.toISOString().slice(0, 10) }));
+  }
+
+  return days;
+}
+
+/**
+ * Part of the day an event starts in
+ * @param {Object} event - Event with startTime ("HH:MM", or null if all day)
+ * @returns {string|null} Time of day id from TIMES_OF_DAY, or null for
+ *   all-day events, which don't match any time of day
+ */
+function getEventTimeOfDay(event) {
+  if (!event.startTime) return null;
+
+  const time = TIMES_OF_DAY.find(
+    (t) => event.startTime >= t.from && event.startTime < t.to
+  );
+  return time ? time.id : null;
+}
+
+/**
+ * Check an event against the selected category chips
+ * @param {Object} event - Event to check
+ * @param {Set<string>} categories - Selected category ids; none selected
+ *   matches everything
+ * @param {string} [match] - 'any' for events with at least one of the
+ *   categories, 'all' for events with every one
+ * @returns {boolean}
+ */
+function matchesCategories(event, categories, match = "any") {
+  if (categories.size === 0) return true;
+
+  const selected = Array.from(categories);
+  return match === "all"
+    ? selected.every((id) => hasCategory(event, id))
+    : selected.some((id) => hasCategory(event, id));
+}
+
+/**
+ * Check an event against the selected day and time of day chips. Each group
+ * with nothing selected matches everything.
+ * @param {Object} event - Event to check
+ * @param {Set<string>} days - Selected day ids
+ * @param {Set<string>} timesOfDay - Selected time of day ids
+ * @returns {boolean}
+ */
+function matchesDayAndTime(event, days, timesOfDay) {
+  return (
+    (days.size === 0 ||
+      Array.from(getEventDays(event)).some((day) => days.has(day))) &&
+    (timesOfDay.size === 0 || timesOfDay.has(getEventTimeOfDay(event)))
+  );
+}
+
+// ISO date (YYYY-MM-DD) of a local date
+function toIsoDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * Dates covered by a quick date filter
+ * @param {string} preset - 'today', 'week' (the next seven days), 'weekend'
+ *   (the coming Saturday and Sunday, or what's left of the weekend once it
+ *   has started), 'next-week' (next Monday to Sunday), 'month' (until the
+ *   same date next month) or 'all'
+ * @param {Date} [now] - Current time
+ * @returns {{from: string|null, to: string|null}} Inclusive ISO dates, null
+ *   where unbounded
+ */
+function getDatePresetRange(preset, now = new Date()) {
+  const weekday = now.getDay(); // 0 is Sunday
+  const inDays = (days) =>
+    toIsoDate(
+      new Date(now.getFullYear(), now.getMonth(), now.getDate() + days)
+    );
+
+  switch (preset) {
+    case "today":
+      return { from: inDays(0), to: inDays(0) };
+    case "week":
+      return { from: inDays(0), to: inDays(7) };
+    case "weekend":
+      if (weekday === 0) return { from: inDays(0), to: inDays(0) };
+      return {
+        from: inDays(Math.max(6 - weekday, 0)),
+        to: inDays(7 - weekday),
+      };
+    case "next-week": {
+      const nextMonday = 7 - ((weekday + 6) % 7);
+      return { from: inDays(nextMonday), to: inDays(nextMonday + 6) };
+    }
+    case "month":
+      return {
+        from: inDays(0),
+        to: toIsoDate(
+          new Date(now.getFullYear(), now.getMonth() + 1, now.getDate())
+        ),
+      };
+    default:
+      return { from: null, to: null };
+  }
+}
+
+/**
+ * Whether an event takes place on any day of a date range. Multi-day events
+ * match a range they overlap, even if they start before it.
+ * @param {Object} event - Event with date and, for multi-day events, endDate
+ *   (the last day, inclusive)
+ * @param {{from: string|null, to: string|null}} range - Inclusive ISO dates
+ * @returns {boolean}
+ */
+function overlapsDateRange(event, { from, to }) {
+  const start = event.date;
+  const end = event.endDate && event.endDate > start ? event.endDate : start;
+
+  return (!from || end >= from) && (!to || start <= to);
+}
+
+/**
+ * Day to list an event under: the day it starts, or for a multi-day event
+ * that's already under way, the first day shown (today, or the start of the
+ * date range)
+ * @param {Object} event - Event with date and, for multi-day events, endDate
+ * @param {string} firstDay - ISO date of the first day the list shows
+ * @returns {string} ISO date
+ */
+function getListDate(event, firstDay) {
+  if (event.date >= firstDay) return event.date;
+
+  const end = event.endDate || event.date;
+  return end < firstDay ? end : firstDay;
+}
+
+window.EventFilters = {
+  DAYS_OF_WEEK,
+  TIMES_OF_DAY,
+  hasCategory,
+  getEventDay,
+  getEventDays,
+  getEventTimeOfDay,
+  matchesCategories,
+  matchesDayAndTime,
+  toIsoDate,
+  getDatePresetRange,
+  overlapsDateRange,
+  getListDate,
+};
@@ -0,0 +1,209 @@
+// =============================================================================
+// EVENT INCLUSION / EXCLUSION RULES
+// Decides which calendar entries are real events to show on the map. Shared by
+// fetch-events.js (build time) and script.js (browser) so the snapshot and the
+// page apply the same rules. Extend or override via CALENDAR_CONFIG.EVENT_RULES.
+// =============================================================================
+
+/**
+ * Each rule:
+ *   id                - stable identifier, reported when the rule matches
+ *   action            - 'exclude' (default) or 'include'; include rules win,
+ *                       so they can rescue events an exclude rule would drop
+ *   description       - why the rule exists
+ *   recurringEventIds - Google recurring event series ids
+ *   titlePattern      - regular expression tested against the title (case-insensitive)
+ *   organizerEmail    - organiser email address, or a list of them
+ *   colorId           - Google Calendar event colour id, or a list of them
+ *   eventType         - Google eventType (e.g. 'outOfOffice'), or a list of them
+ * A rule matches when every condition it sets matches.
+ */
+const DEFAULT_EVENT_RULES = [
+  {
+    id: "public-announcements",
+    action: "exclude",
+    description: "Recurring Public Announcement entries",
+    recurringEventIds: [
+      "2scpgqhjtjh5tc33cg3jm3ik5c",
+      "30ed1sa1ev6k8kgp0ucg1mq24j",
+    ],
+  },
+  {
+    id: "useful-information",
+    action: "exclude",
+    description: "Noticeboard entries rather than events",
+    titlePattern: "useful information",
+  },
+  {
+    id: "calendar-status-entries",
+    action: "exclude",
+    description: "Out of office, focus time and working location blocks",
+    eventType: ["outOfOffice", "focusTime", "workingLocation"],
+  },
+];
+
+const RULE_CONDITIONS = [
+  "recurringEventIds",
+  "titlePattern",
+  "organizerEmail",
+  "colorId",
+  "eventType",
+];
+
+function toList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Merge configured rules into the defaults and prepare them for matching
+ * @param {Array<Object>} rules - Base rules
+ * @param {Array<Object>} [overrides] - Entries merged in by id. Partial entries
+ *   update an existing rule, new ids add one, `disabled: true` removes one.
+ * @returns {Array<Object>} Rules ready for evaluateEventRules()
+ */
+function resolveEventRules(rules = DEFAULT_EVENT_RULES, overrides = []) {
+  const byId = new Map(rules.map((rule) => [rule.id, rule]));
+
+  (overrides || []).forEach((override) => {
+    if (!override || !override.id) {
+      console.warn("[Event rules] Ignoring rule without an id");
+      return;
+    }
+    if (override.disabled) {
+      byId.delete(override.id);
+      return;
+    }
+    byId.set(override.id, { ...byId.get(override.id), ...override });
+  });
+
+  const resolved = [];
+
+  byId.forEach((rule) => {
+    if (!RULE_CONDITIONS.some((condition) => rule[condition] != null)) {
+      console.warn(`[Event rules] Rule "${rule.id}" has no conditions - ignored`);
+      return;
+    }
+
+    let titleRegex = null;
+    if (rule.titlePattern) {
+      try {
+        titleRegex = new RegExp(rule.titlePattern, "i");
+      } catch (error) {
+        console.warn(
+          `[Event rules] Rule "${rule.id}" has an invalid titlePattern - ignored: ${error.message}`
+        );
+        return;
+      }
+    }
+
+    resolved.push({
+      ...rule,
+      action: rule.action === "include" ? "include" : "exclude",
+      titleRegex: titleRegex,
+      organizerEmails: toList(rule.organizerEmail).map((email) =>
+        email.toLowerCase()
+      ),
+      colorIds: toList(rule.colorId).map(String),
+      eventTypes: toList(rule.eventType),
+    });
+  });
+
+  return resolved;
+}
+
+/**
+ * Check whether a single rule matches a Google Calendar item
+ * @param {Object} rule - A rule from resolveEventRules()
+ * @param {Object} item - Raw Google Calendar event
+ * @returns {boolean} True when every condition the rule sets matches
+ */
+function ruleMatches(rule, item) {
+  if (
+    rule.recurringEventIds &&
+    !rule.recurringEventIds.includes(item.recurringEventId)
+  ) {
+    return false;
+  }
+  if (rule.titleRegex && !rule.titleRegex.test(item.summary || "")) {
+    return false;
+  }
+  if (
+    rule.organizerEmails.length > 0 &&
+    !rule.organizerEmails.includes((item.organizer?.email || "").toLowerCase())
+  ) {
+    return false;
+  }
+  if (rule.colorIds.length > 0 && !rule.colorIds.includes(item.colorId)) {
+    return false;
+  }
+  if (
+    rule.eventTypes.length > 0 &&
+    !rule.eventTypes.includes(item.eventType || "default")
+  ) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Decide whether a calendar item should be shown
+ * @param {Object} item - Raw Google Calendar event
+ * @param {Array<Object>} rules - Rules from resolveEventRules()
+ * @returns {{included: boolean, rule: Object|null}} The outcome and the rule
+ *   that decided it (null when no rule matched)
+ */
+function evaluateEventRules(item, rules) {
+  const matching = rules.filter((rule) => ruleMatches(rule, item));
+
+  const include = matching.find((rule) => rule.action === "include");
+  if (include) return { included: true, rule: include };
+
+  const exclude = matching.find((rule) => rule.action === "exclude");
+  if (exclude) return { included: false, rule: exclude };
+
+  return { included: true, rule: null };
+}
+
+/**
+ * Split calendar items into kept and excluded
+ * @param {Array<Object>} items - Raw Google Calendar events
+ * @param {Array<Object>} rules - Rules from resolveEventRules()
+ * @returns {{kept: Array<Object>, report: Array<Object>}} Kept items, and one
+ *   report row per excluded item naming the rule responsible
+ */
+function applyEventRules(items, rules) {
+  const kept = [];
+  const report = [];
+
+  items.forEach((item) => {
+    const { included, rule } = evaluateEventRules(item, rules);
+
+    if (included) {
+      kept.push(item);
+      return;
+    }
+
+    report.push({
+      rule: rule.id,
+      title: item.summary || "",
+      start: item.start?.dateTime || item.start?.date || "",
+      recurringEventId: item.recurringEventId || "",
+    });
+  });
+
+  return { kept: kept, report: report };
+}
+
+const EventRules = {
+  DEFAULT_EVENT_RULES,
+  resolveEventRules,
+  evaluateEventRules,
+  applyEventRules,
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = EventRules;
+} else {
+  window.EventRules = EventRules;
+}
@@ -0,0 +1,154 @@
+// =============================================================================
+// EVENT SERIES
+// Google returns every occurrence of a recurring event separately, so a weekly
+// drop-in fills the list with near-identical entries. These helpers gather the
+// occurrences back into series and describe them, e.g.
+//   "Every Tuesday, 10:00–12:00"
+// =============================================================================
+
+const SERIES_WEEKDAYS = {
+  MO: "Monday",
+  TU: "Tuesday",
+  WE: "Wednesday",
+  TH: "Thursday",
+  FR: "Friday",
+  SA: "Saturday",
+  SU: "Sunday",
+};
+
+const SERIES_ORDINALS = {
+  1: "First",
+  2: "Second",
+  3: "Third",
+  4: "Fourth",
+  "-1": "Last",
+};
+
+function compareOccurrences(a, b) {
+  return (
+    a.date.localeCompare(b.date) ||
+    (a.startTime || "00:00").localeCompare(b.startTime || "00:00")
+  );
+}
+
+/**
+ * Split events into recurring series and one-off events
+ * @param {Array<Object>} events - Events, each with date, startTime and
+ *   recurringEventId (null for one-off events)
+ * @returns {{series: Array<Object>, singles: Array<Object>}} Series with two
+ *   or more of the given occurrences, each {id, events, next} with events in
+ *   date order and next being the first that hasn't finished; and every
+ *   other event
+ */
+function groupEventSeries(events) {
+  const byId = new Map();
+  const singles = [];
+
+  events.forEach((event) => {
+    if (!event.recurringEventId) {
+      singles.push(event);
+      return;
+    }
+    if (!byId.has(event.recurringEventId)) {
+      byId.set(event.recurringEventId, []);
+    }
+    byId.get(event.recurringEventId).push(event);
+  });
+
+  const series = [];
+  byId.forEach((occurrences, id) => {
+    if (occurrences.length < 2) {
+      singles.push(...occurrences);
+      return;
+    }
+
+    occurrences.sort(compareOccurrences);
+    series.push({
+      id: id,
+      events: occurrences,
+      next: occurrences.find((event) => !event.isElapsed) || occurrences[0],
+    });
+  });
+
+  series.sort((a, b) => compareOccurrences(a.next, b.next));
+
+  return { series: series, singles: singles };
+}
+
+/**
+ * Describe a recurrence rule in words
+ * @param {string|null} rrule - RRULE value, as from
+ *   CalendarExport.inferRecurrenceRule()
+ * @returns {string|null} e.g. "Every Tuesday", "First Monday of the month",
+ *   or null when the rule isn't one we can describe
+ */
+function describeRecurrenceRule(rrule) {
+  if (!rrule) return null;
+
+  const parts = {};
+  rrule.split(";").forEach((part) => {
+    const [key, value] = part.split("=");
+    parts[key] = value;
+  });
+  const interval = Number(parts.INTERVAL) || 1;
+
+  if (parts.FREQ === "DAILY" && interval === 1) return "Every day";
+
+  if (parts.FREQ === "WEEKLY" && SERIES_WEEKDAYS[parts.BYDAY]) {
+    const weekday = SERIES_WEEKDAYS[parts.BYDAY];
+    if (interval === 1) return `Every ${weekday}`;
+    if (interval === 2) return `Every other ${weekday}`;
+    return `Every ${interval} weeks on ${weekday}`;
+  }
+
+  if (parts.FREQ === "MONTHLY" && parts.BYMONTHDAY) {
+    const day = Number(parts.BYMONTHDAY);
+    const suffix =
+      day % 10 === 1 && day !== 11
+        ? "st"
+        : day % 10 === 2 && day !== 12
+        ? "nd"
+        : day % 10 === 3 && day !== 13
+        ? "rd"
+        : "th";
+    return `Monthly on the ${day}${suffix}`;
+  }
+
+  const nthWeekday = /^(-?\d)([A-Z]{2})$/.exec(parts.BYDAY || "");
+  if (
+    parts.FREQ === "MONTHLY" &&
+    nthWeekday &&
+    SERIES_ORDINALS[nthWeekday[1]] &&
+    SERIES_WEEKDAYS[nthWeekday[2]]
+  ) {
+    return `${SERIES_ORDINALS[nthWeekday[1]]} ${
+      SERIES_WEEKDAYS[nthWeekday[2]]
+    } of the month`;
+  }
+
+  return null;
+}
+
+/**
+ * One-line summary of a series for its list card
+ * @param {Object} series - Series from groupEventSeries()
+ * @param {string|null} rrule - The series' recurrence rule, if known
+ * @returns {string} e.g. "Every Tuesday, 10:00–12:00"
+ */
+function describeSeries(series, rrule) {
+  const { startTime, endTime } = series.next;
+  const pattern =
+    describeRecurrenceRule(rrule) || `Repeats on ${series.events.length} dates`;
+
+  if (!startTime) return `${pattern}, all day`;
+  if (endTime && endTime !== startTime) {
+    return `${pattern}, ${startTime}–${endTime}`;
+  }
+  return `${pattern}, ${startTime}`;
+}
+
+window.EventSeries = {
+  groupEventSeries,
+  describeRecurrenceRule,
+  describeSeries,
+};
@@ -0,0 +1,148 @@
+// =============================================================================
+// PERSISTENT GEOCODE CACHE
+// Remembers geocoding results in localStorage so repeat visitors and repeat
+// searches don't hit the network
+// =============================================================================
+
+class GeocodeCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.storageKey - localStorage key holding the cache
+   * @param {number} options.ttlDays - How long an entry stays valid
+   * @param {number} options.missTtlHours - How long a failed lookup is
+   *   remembered, so it isn't retried on every page load
+   * @param {number} options.maxEntries - Oldest entries are evicted past this size
+   */
+  constructor({
+    storageKey = "vfvic-geocode-cache-v1",
+    ttlDays = 30,
+    missTtlHours = 12,
+    maxEntries = 500,
+  } = {}) {
+    this.storageKey = storageKey;
+    this.ttlMs = ttlDays * 24 * 60 * 60 * 1000;
+    this.missTtlMs = missTtlHours * 60 * 60 * 1000;
+    this.maxEntries = maxEntries;
+    this.storage = this.getStorage();
+    this.entries = this.read();
+  }
+
+  getStorage() {
+    // localStorage can be missing or throw (private browsing, blocked cookies)
+    try {
+      const storage = window.localStorage;
+      const probe = `${this.storageKey}-probe`;
+      storage.setItem(probe, "1");
+      storage.removeItem(probe);
+      return storage;
+    } catch (error) {
+      console.warn("[GeocodeCache] localStorage unavailable, caching in memory only");
+      return null;
+    }
+  }
+
+  read() {
+    if (!this.storage) return {};
+
+    try {
+      const parsed = JSON.parse(this.storage.getItem(this.storageKey) || "{}");
+      return parsed && typeof parsed === "object" ? parsed : {};
+    } catch (error) {
+      console.warn("[GeocodeCache] Discarding unreadable cache:", error);
+      return {};
+    }
+  }
+
+  write() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+    } catch (error) {
+      // Most likely quota exceeded - keep going with the in-memory copy
+      console.warn("[GeocodeCache] Could not persist cache:", error);
+    }
+  }
+
+  /**
+   * Build a cache key from a lookup type and a free-text query
+   * @param {string} namespace - Lookup type, e.g. 'address' or 'postcode'
+   * @param {string} query - Address, postcode or place name
+   * @returns {string} Normalised key
+   */
+  key(namespace, query) {
+    const normalised = String(query || "")
+      .toLowerCase()
+      .replace(/\s*,\s*/g, ", ")
+      .replace(/\s+/g, " ")
+      .trim();
+    return `${namespace}:${normalised}`;
+  }
+
+  getEntry(namespace, query) {
+    const key = this.key(namespace, query);
+    const entry = this.entries[key];
+    if (!entry) return null;
+
+    const ttl = entry.miss ? this.missTtlMs : this.ttlMs;
+    if (Date.now() - entry.storedAt > ttl) {
+      delete this.entries[key];
+      this.write();
+      return null;
+    }
+
+    return entry;
+  }
+
+  get(namespace, query) {
+    const entry = this.getEntry(namespace, query);
+    return entry && !entry.miss ? entry.value : null;
+  }
+
+  /**
+   * Whether a lookup recently failed, so the network can be skipped
+   * @param {string} namespace - Lookup type
+   * @param {string} query - Address, postcode or place name
+   * @returns {boolean}
+   */
+  hasMiss(namespace, query) {
+    return Boolean(this.getEntry(namespace, query)?.miss);
+  }
+
+  set(namespace, query, value) {
+    this.entries[this.key(namespace, query)] = {
+      value: value,
+      storedAt: Date.now(),
+    };
+    this.evict();
+    this.write();
+  }
+
+  // Remember that nothing was found, for a shorter time than a result
+  setMiss(namespace, query) {
+    this.entries[this.key(namespace, query)] = {
+      value: null,
+      miss: true,
+      storedAt: Date.now(),
+    };
+    this.evict();
+    this.write();
+  }
+
+  evict() {
+    const keys = Object.keys(this.entries);
+    if (keys.length <= this.maxEntries) return;
+
+    keys
+      .sort((a, b) => this.entries[a].storedAt - this.entries[b].storedAt)
+      .slice(0, keys.length - this.maxEntries)
+      .forEach((key) => delete this.entries[key]);
+  }
+
+  clear() {
+    this.entries = {};
+    this.write();
+  }
+}
+
+window.GeocodeCache = GeocodeCache;
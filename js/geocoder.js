@@ -0,0 +1,331 @@
+// =============================================================================
+// GEOCODING PROVIDERS
+// One interface over every way we turn an address, postcode or place name
+// into coordinates. Each provider implements:
+//
+//   name                      - identifier used in CALENDAR_CONFIG.GEOCODER_PROVIDERS
+//   cacheable                 - whether results may go in the persistent cache
+//   supports(kind)            - kind is 'address', 'postcode' or 'place'
+//   async geocode(query, kind) - resolves to a GeocodeResult or throws GeocodeError
+//
+// A GeocodeResult is { lat, lng, formattedAddress, provider } plus any
+// provider-specific extras (e.g. `venue` from the static registry lookup).
+// =============================================================================
+
+/**
+ * Error raised by geocoding providers, with a machine-readable code:
+ * NOT_FOUND, DENIED, QUOTA, NETWORK or INVALID_RESPONSE
+ */
+class GeocodeError extends Error {
+  constructor(message, code, provider = null) {
+    super(message);
+    this.name = "GeocodeError";
+    this.code = code;
+    this.provider = provider;
+  }
+}
+
+async function fetchJson(url, providerName) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new GeocodeError(error.message, "NETWORK", providerName);
+  }
+
+  if (response.status === 404) {
+    throw new GeocodeError("No results found", "NOT_FOUND", providerName);
+  }
+  if (response.status === 429) {
+    throw new GeocodeError("Too many requests", "QUOTA", providerName);
+  }
+  if (!response.ok) {
+    throw new GeocodeError(
+      `HTTP error: ${response.status}`,
+      "NETWORK",
+      providerName
+    );
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new GeocodeError(error.message, "INVALID_RESPONSE", providerName);
+  }
+}
+
+class GoogleGeocoderProvider {
+  constructor({ apiKey }) {
+    this.name = "google";
+    this.cacheable = true;
+    this.apiKey = apiKey;
+  }
+
+  supports() {
+    return true;
+  }
+
+  async geocode(query) {
+    const data = await fetchJson(
+      `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(
+        query
+      )}&key=${this.apiKey}`,
+      this.name
+    );
+
+    switch (data.status) {
+      case "OK": {
+        const result = data.results[0];
+        return {
+          lat: result.geometry.location.lat,
+          lng: result.geometry.location.lng,
+          formattedAddress: result.formatted_address,
+          provider: this.name,
+        };
+      }
+      case "ZERO_RESULTS":
+        throw new GeocodeError("No results found", "NOT_FOUND", this.name);
+      case "REQUEST_DENIED":
+        throw new GeocodeError(
+          `Check API key permissions: ${data.error_message}`,
+          "DENIED",
+          this.name
+        );
+      case "OVER_QUERY_LIMIT":
+        throw new GeocodeError("Over query limit", "QUOTA", this.name);
+      default:
+        throw new GeocodeError(
+          `Unexpected status: ${data.status}`,
+          "INVALID_RESPONSE",
+          this.name
+        );
+    }
+  }
+}
+
+class NominatimGeocoderProvider {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.kinds - Kinds of query to answer. Event
+   *   addresses are left out by default: Nominatim's usage policy allows one
+   *   request per second, which a full page of venues would exceed.
+   */
+  constructor({ kinds = ["postcode", "place"] } = {}) {
+    this.name = "nominatim";
+    this.cacheable = true;
+    this.kinds = kinds;
+  }
+
+  supports(kind) {
+    return this.kinds.includes(kind);
+  }
+
+  async geocode(query) {
+    const data = await fetchJson(
+      `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(
+        query
+      )}&limit=1&countrycodes=gb`,
+      this.name
+    );
+
+    if (!Array.isArray(data) || data.length === 0) {
+      throw new GeocodeError("No results found", "NOT_FOUND", this.name);
+    }
+
+    return {
+      lat: parseFloat(data[0].lat),
+      lng: parseFloat(data[0].lon),
+      formattedAddress: data[0].display_name || query,
+      provider: this.name,
+    };
+  }
+}
+
+class PostcodesIoGeocoderProvider {
+  constructor() {
+    this.name = "postcodes.io";
+    this.cacheable = true;
+  }
+
+  supports(kind) {
+    return kind === "postcode";
+  }
+
+  async geocode(query) {
+    const compact = query.replace(/\s+/g, "").toUpperCase();
+    const isFull = /^[A-Z]{1,2}[0-9][A-Z0-9]?[0-9][A-Z]{2}$/.test(compact);
+
+    // Full postcodes and outcodes live under different endpoints
+    const endpoint = isFull ? "postcodes" : "outcodes";
+    const data = await fetchJson(
+      `https://api.postcodes.io/${endpoint}/${encodeURIComponent(compact)}`,
+      this.name
+    );
+
+    const result = data.result;
+    if (!result || result.latitude == null || result.longitude == null) {
+      throw new GeocodeError("No results found", "NOT_FOUND", this.name);
+    }
+
+    return {
+      lat: result.latitude,
+      lng: result.longitude,
+      formattedAddress: result.postcode || result.outcode || compact,
+      provider: this.name,
+    };
+  }
+}
+
+/**
+ * Resolves queries from an in-memory table or lookup function - used for the
+ * venue registry and the build-time venues.json cache
+ */
+class StaticLookupProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name
+   * @param {Function|Object} options.lookup - (query, kind) => result|null, or a table keyed by query
+   * @param {Array<string>} options.kinds - Kinds of query this table can answer
+   */
+  constructor({ name = "static", lookup, kinds = ["address"] }) {
+    this.name = name;
+    // The table is already local - persisting copies would only go stale
+    this.cacheable = false;
+    this.lookup =
+      typeof lookup === "function" ? lookup : (query) => lookup?.[query];
+    this.kinds = kinds;
+  }
+
+  supports(kind) {
+    return this.kinds.includes(kind);
+  }
+
+  async geocode(query, kind) {
+    const result = this.lookup(query, kind);
+    if (!result) {
+      throw new GeocodeError("Not in lookup table", "NOT_FOUND", this.name);
+    }
+    return { formattedAddress: query, ...result, provider: this.name };
+  }
+}
+
+/**
+ * Canned responses for local development and testing without network access
+ */
+class MockGeocoderProvider {
+  constructor({ results = {}, delayMs = 0 } = {}) {
+    this.name = "mock";
+    this.cacheable = false;
+    this.results = results;
+    this.delayMs = delayMs;
+  }
+
+  supports() {
+    return true;
+  }
+
+  async geocode(query) {
+    if (this.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+    }
+
+    const key = Object.keys(this.results).find(
+      (candidate) => candidate.toLowerCase() === query.toLowerCase()
+    );
+    if (!key) {
+      throw new GeocodeError("No mock result", "NOT_FOUND", this.name);
+    }
+    return { formattedAddress: query, ...this.results[key], provider: this.name };
+  }
+}
+
+/**
+ * Tries providers in priority order until one returns a result
+ */
+class Geocoder {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.providers - Providers in priority order
+   * @param {GeocodeCache} [options.cache] - Persistent cache for network results
+   */
+  constructor({ providers = [], cache = null } = {}) {
+    this.providers = providers;
+    this.cache = cache;
+    // Providers that rejected our credentials are skipped for the session
+    this.disabledProviders = new Set();
+  }
+
+  /**
+   * Geocode a query
+   * @param {string} query - Address, postcode or place name
+   * @param {Object} [options]
+   * @param {string} [options.kind] - 'address', 'postcode' or 'place'
+   * @returns {Promise<Object>} GeocodeResult
+   * @throws {GeocodeError} NOT_FOUND when no provider could resolve the query
+   */
+  async geocode(query, { kind = "address" } = {}) {
+    const candidates = this.providers.filter(
+      (provider) =>
+        provider.supports(kind) && !this.disabledProviders.has(provider.name)
+    );
+    const errors = [];
+    let cacheChecked = false;
+    let askedNetwork = false;
+
+    for (const provider of candidates) {
+      // Local lookups come first in the order and are never cached; the
+      // persistent cache stands in for every network provider after them,
+      // including a recent failure to find anything
+      if (provider.cacheable && this.cache && !cacheChecked) {
+        cacheChecked = true;
+        const cached = this.cache.get(kind, query);
+        if (cached) return cached;
+        if (this.cache.hasMiss(kind, query)) break;
+      }
+
+      askedNetwork = askedNetwork || provider.cacheable;
+      try {
+        const result = await provider.geocode(query, kind);
+        if (provider.cacheable && this.cache) {
+          this.cache.set(kind, query, result);
+        }
+        return result;
+      } catch (error) {
+        const geocodeError =
+          error instanceof GeocodeError
+            ? error
+            : new GeocodeError(error.message, "NETWORK", provider.name);
+
+        if (geocodeError.code === "DENIED") {
+          console.error(
+            `[Geocoding] ${provider.name} disabled for this session: ${geocodeError.message}`
+          );
+          this.disabledProviders.add(provider.name);
+        }
+        errors.push(geocodeError);
+      }
+    }
+
+    // Don't ask the network providers again for a while
+    if (askedNetwork && this.cache) {
+      this.cache.setMiss(kind, query);
+    }
+
+    const notFound = new GeocodeError(
+      `No geocoding result for "${query}"`,
+      "NOT_FOUND"
+    );
+    notFound.errors = errors;
+    throw notFound;
+  }
+}
+
+window.EventMapGeocoding = {
+  Geocoder,
+  GeocodeError,
+  GoogleGeocoderProvider,
+  NominatimGeocoderProvider,
+  PostcodesIoGeocoderProvider,
+  StaticLookupProvider,
+  MockGeocoderProvider,
+};
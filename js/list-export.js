@@ -0,0 +1,222 @@
+// =============================================================================
+// LIST EXPORT
+// Turns the filtered event list into a CSV spreadsheet or a printable sheet
+// grouped by week and day. Works on plain rows prepared by script.js, so it
+// doesn't need to know about the map or the event data format.
+// =============================================================================
+
+/**
+ * Each row:
+ *   title      - event title
+ *   date       - ISO date (YYYY-MM-DD)
+ *   time       - display time, e.g. "10:00 - 12:00" or "All day"
+ *   venue      - venue name (may be empty)
+ *   address    - location as given in the calendar
+ *   categories - category labels
+ *   distance   - km from the searched postcode, or null
+ *   link       - permalink to the event on the map
+ *   startTime  - "HH:MM", or null for all-day events (for ordering)
+ */
+const CSV_COLUMNS = [
+  { header: "Title", value: (row) => row.title },
+  { header: "Date", value: (row) => row.date },
+  { header: "Time", value: (row) => row.time },
+  { header: "Venue", value: (row) => row.venue },
+  { header: "Address", value: (row) => row.address },
+  { header: "Categories", value: (row) => row.categories.join("; ") },
+  {
+    header: "Distance (km)",
+    value: (row) => (row.distance == null ? "" : row.distance.toFixed(1)),
+  },
+  { header: "Link", value: (row) => row.link },
+];
+
+/**
+ * Quote a CSV field when needed (RFC 4180). Values that spreadsheet apps
+ * would read as a formula are prefixed with an apostrophe.
+ */
+function escapeCsvField(value) {
+  let text = String(value == null ? "" : value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} rows - Export rows (see above)
+ * @returns {string} CSV content, with a byte order mark so Excel reads it as
+ *   UTF-8
+ */
+function buildCsv(rows) {
+  const lines = [CSV_COLUMNS.map((column) => column.header)];
+  rows.forEach((row) => {
+    lines.push(CSV_COLUMNS.map((column) => column.value(row)));
+  });
+
+  return (
+    "\uFEFF" +
+    lines.map((line) => line.map(escapeCsvField).join(",")).join("\r\n") +
+    "\r\n"
+  );
+}
+
+function formatSheetDate(dateString, options) {
+  return new Date(`${dateString}T00:00:00Z`).toLocaleDateString("en-GB", {
+    timeZone: "UTC",
+    ...options,
+  });
+}
+
+// Monday of the week containing an ISO date
+function getWeekStart(dateString) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Group rows into weeks (Monday to Sunday) and days, in date order
+ * @param {Array<Object>} rows - Export rows
+ * @returns {Array<{start: string, days: Array<{date: string, rows: Array}>}>}
+ */
+function groupRowsByWeek(rows) {
+  const weeks = new Map();
+
+  [...rows]
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        (a.startTime || "00:00").localeCompare(b.startTime || "00:00")
+    )
+    .forEach((row) => {
+      const weekStart = getWeekStart(row.date);
+      if (!weeks.has(weekStart)) weeks.set(weekStart, new Map());
+
+      const days = weeks.get(weekStart);
+      if (!days.has(row.date)) days.set(row.date, []);
+      days.get(row.date).push(row);
+    });
+
+  return Array.from(weeks, ([start, days]) => ({
+    start: start,
+    days: Array.from(days, ([date, dayRows]) => ({ date, rows: dayRows })),
+  }));
+}
+
+/**
+ * Build a standalone, print-ready HTML page listing events by week
+ * @param {Object} options
+ * @param {string} options.title - Sheet heading
+ * @param {Array<string>} [options.filters] - Descriptions of the active
+ *   filters, shown under the heading
+ * @param {string|null} [options.mapImage] - Data URL of a map snapshot
+ * @param {Array<Object>} options.rows - Export rows
+ * @returns {string} HTML document, which opens the print dialog when loaded
+ */
+function buildPrintSheet({ title, filters = [], mapImage = null, rows }) {
+  const { escapeHtml } = window.EventMapUtils;
+  const showDistance = rows.some((row) => row.distance != null);
+  const generated = new Date().toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+  const weeks = groupRowsByWeek(rows)
+    .map(
+      (week) => `
+    <section class="week">
+      <h2>Week commencing ${escapeHtml(
+        formatSheetDate(week.start, {
+          weekday: "long",
+          day: "numeric",
+          month: "long",
+          year: "numeric",
+        })
+      )}</h2>
+      ${week.days
+        .map(
+          (day) => `
+      <table>
+        <caption>${escapeHtml(
+          formatSheetDate(day.date, {
+            weekday: "long",
+            day: "numeric",
+            month: "long",
+          })
+        )}</caption>
+        ${day.rows
+          .map(
+            (row) => `
+        <tr>
+          <td class="time">${escapeHtml(row.time)}</td>
+          <td>
+            <strong>${escapeHtml(row.title)}</strong>
+            <div class="venue">${escapeHtml(
+              row.venue && !row.address.startsWith(row.venue)
+                ? `${row.venue}, ${row.address}`
+                : row.address
+            )}</div>
+          </td>
+          <td class="categories">${escapeHtml(row.categories.join(", "))}</td>
+          ${
+            showDistance
+              ? `<td class="distance">${
+                  row.distance == null ? "" : `${row.distance.toFixed(1)} km`
+                }</td>`
+              : ""
+          }
+        </tr>`
+          )
+          .join("")}
+      </table>`
+        )
+        .join("")}
+    </section>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 11pt; color: #111827; margin: 0; }
+    h1 { font-size: 18pt; margin: 0 0 4pt; }
+    .meta { color: #4b5563; font-size: 9pt; margin: 0 0 10pt; }
+    .map { width: 100%; max-height: 90mm; object-fit: cover; border: 1px solid #d1d5db; margin-bottom: 10pt; }
+    .week { break-inside: avoid-page; }
+    .week + .week { break-before: page; }
+    h2 { font-size: 13pt; border-bottom: 2px solid #111827; padding-bottom: 2pt; margin: 12pt 0 6pt; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 8pt; break-inside: avoid; }
+    caption { text-align: left; font-weight: bold; padding: 4pt 0 2pt; }
+    td { border-top: 1px solid #e5e7eb; padding: 3pt 4pt; vertical-align: top; }
+    .time { width: 25mm; white-space: nowrap; }
+    .venue, .categories, .distance { color: #4b5563; font-size: 9pt; }
+    .categories { width: 35mm; }
+    .distance { width: 15mm; text-align: right; white-space: nowrap; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">${escapeHtml(
+    [
+      ...filters,
+      `${rows.length} event${rows.length === 1 ? "" : "s"}`,
+      `Printed ${generated}`,
+    ].join(" · ")
+  )}</p>
+  ${mapImage ? `<img class="map" src="${mapImage}" alt="Map of the listed events">` : ""}
+  ${weeks || "<p>No events match the current filters.</p>"}
+  <script>window.addEventListener("load", () => window.print());</script>
+</body>
+</html>`;
+}
+
+window.ListExport = {
+  buildCsv,
+  buildPrintSheet,
+};
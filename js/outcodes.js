@@ -0,0 +1,208 @@
+// =============================================================================
+// NORTH EAST POSTCODE OUTCODE CENTROIDS
+// Approximate centre points (to roughly 1km) for the outcodes covering the
+// North East and neighbouring areas, so partial-postcode searches like "TS28"
+// work instantly and offline. Precise enough for radius searches, not for
+// placing individual venues. Non-geographic outcodes (e.g. NE99) are omitted.
+// =============================================================================
+
+const NORTH_EAST_OUTCODES = {
+  // Newcastle, Gateshead, North & South Tyneside, Northumberland
+  NE1: [54.972, -1.613],
+  NE2: [54.986, -1.602],
+  NE3: [55.008, -1.637],
+  NE4: [54.973, -1.646],
+  NE5: [54.99, -1.695],
+  NE6: [54.975, -1.567],
+  NE7: [55.0, -1.58],
+  NE8: [54.955, -1.605],
+  NE9: [54.932, -1.594],
+  NE10: [54.95, -1.56],
+  NE11: [54.94, -1.64],
+  NE12: [55.03, -1.56],
+  NE13: [55.045, -1.625],
+  NE15: [54.985, -1.73],
+  NE16: [54.935, -1.685],
+  NE17: [54.915, -1.81],
+  NE18: [55.045, -1.9],
+  NE19: [55.18, -2.15],
+  NE20: [55.05, -1.745],
+  NE21: [54.955, -1.715],
+  NE22: [55.13, -1.59],
+  NE23: [55.085, -1.59],
+  NE24: [55.125, -1.51],
+  NE25: [55.04, -1.465],
+  NE26: [55.045, -1.445],
+  NE27: [55.03, -1.505],
+  NE28: [54.995, -1.525],
+  NE29: [55.01, -1.46],
+  NE30: [55.02, -1.43],
+  NE31: [54.97, -1.515],
+  NE32: [54.975, -1.485],
+  NE33: [54.995, -1.43],
+  NE34: [54.975, -1.415],
+  NE35: [54.945, -1.465],
+  NE36: [54.945, -1.425],
+  NE37: [54.915, -1.515],
+  NE38: [54.895, -1.525],
+  NE39: [54.915, -1.745],
+  NE40: [54.965, -1.79],
+  NE41: [54.975, -1.825],
+  NE42: [54.96, -1.855],
+  NE43: [54.945, -1.915],
+  NE44: [54.945, -1.97],
+  NE45: [54.975, -2.015],
+  NE46: [54.97, -2.1],
+  NE47: [54.935, -2.28],
+  NE48: [55.145, -2.255],
+  NE49: [54.97, -2.46],
+  NE61: [55.17, -1.69],
+  NE62: [55.16, -1.59],
+  NE63: [55.18, -1.57],
+  NE64: [55.185, -1.51],
+  NE65: [55.31, -1.7],
+  NE66: [55.41, -1.71],
+  NE67: [55.53, -1.7],
+  NE68: [55.58, -1.655],
+  NE69: [55.605, -1.72],
+  NE70: [55.6, -1.83],
+  NE71: [55.545, -2.015],
+
+  // Sunderland, Seaham, Peterlee
+  SR1: [54.905, -1.38],
+  SR2: [54.89, -1.37],
+  SR3: [54.875, -1.41],
+  SR4: [54.9, -1.42],
+  SR5: [54.92, -1.415],
+  SR6: [54.93, -1.375],
+  SR7: [54.83, -1.36],
+  SR8: [54.76, -1.335],
+
+  // Durham, Chester-le-Street, Houghton, Consett, Stanley
+  DH1: [54.78, -1.57],
+  DH2: [54.87, -1.6],
+  DH3: [54.865, -1.57],
+  DH4: [54.84, -1.47],
+  DH5: [54.825, -1.45],
+  DH6: [54.745, -1.46],
+  DH7: [54.78, -1.68],
+  DH8: [54.855, -1.83],
+  DH9: [54.87, -1.7],
+
+  // Teesside and Hartlepool
+  TS1: [54.573, -1.236],
+  TS2: [54.585, -1.225],
+  TS3: [54.565, -1.2],
+  TS4: [54.56, -1.225],
+  TS5: [54.55, -1.25],
+  TS6: [54.565, -1.15],
+  TS7: [54.525, -1.2],
+  TS8: [54.52, -1.24],
+  TS9: [54.47, -1.18],
+  TS10: [54.61, -1.06],
+  TS11: [54.59, -1.02],
+  TS12: [54.57, -0.97],
+  TS13: [54.55, -0.86],
+  TS14: [54.535, -1.055],
+  TS15: [54.505, -1.355],
+  TS16: [54.53, -1.35],
+  TS17: [54.53, -1.29],
+  TS18: [54.565, -1.32],
+  TS19: [54.58, -1.345],
+  TS20: [54.59, -1.315],
+  TS21: [54.64, -1.43],
+  TS22: [54.63, -1.32],
+  TS23: [54.605, -1.29],
+  TS24: [54.695, -1.205],
+  TS25: [54.665, -1.21],
+  TS26: [54.69, -1.23],
+  TS27: [54.72, -1.3],
+  TS28: [54.73, -1.375],
+  TS29: [54.7, -1.425],
+
+  // Darlington, south and west Durham, North Yorkshire fringe
+  DL1: [54.535, -1.535],
+  DL2: [54.56, -1.61],
+  DL3: [54.53, -1.575],
+  DL4: [54.63, -1.645],
+  DL5: [54.615, -1.575],
+  DL6: [54.34, -1.41],
+  DL7: [54.33, -1.46],
+  DL8: [54.29, -1.75],
+  DL9: [54.375, -1.72],
+  DL10: [54.41, -1.7],
+  DL11: [54.42, -1.96],
+  DL12: [54.545, -1.925],
+  DL13: [54.72, -2.0],
+  DL14: [54.66, -1.68],
+  DL15: [54.715, -1.75],
+  DL16: [54.7, -1.6],
+  DL17: [54.685, -1.55],
+
+  // Carlisle and Cumbria
+  CA1: [54.89, -2.91],
+  CA2: [54.88, -2.95],
+  CA3: [54.91, -2.95],
+  CA4: [54.84, -2.88],
+  CA5: [54.86, -3.03],
+  CA6: [55.0, -2.9],
+  CA7: [54.825, -3.16],
+  CA8: [54.94, -2.73],
+  CA9: [54.81, -2.44],
+  CA10: [54.62, -2.7],
+  CA11: [54.665, -2.76],
+  CA12: [54.6, -3.135],
+  CA13: [54.665, -3.36],
+  CA14: [54.64, -3.545],
+  CA15: [54.715, -3.49],
+  CA16: [54.58, -2.49],
+  CA17: [54.47, -2.35],
+  CA18: [54.355, -3.4],
+  CA19: [54.38, -3.4],
+  CA20: [54.395, -3.48],
+  CA21: [54.445, -3.51],
+  CA22: [54.48, -3.53],
+  CA23: [54.515, -3.51],
+  CA24: [54.515, -3.54],
+  CA25: [54.52, -3.51],
+  CA26: [54.54, -3.49],
+  CA27: [54.49, -3.59],
+  CA28: [54.545, -3.585],
+};
+
+/**
+ * Extract the outcode (the part before the space) from a full or partial postcode
+ * @param {string} postcode - e.g. "TS28", "ts28 5ab", "DH13LE"
+ * @returns {string} Upper-case outcode, or an empty string if unrecognised
+ */
+function getOutcode(postcode) {
+  const compact = String(postcode || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+  // A full postcode always ends in a three-character inward code
+  const isFull = /^[A-Z]{1,2}[0-9][A-Z0-9]?[0-9][A-Z]{2}$/.test(compact);
+  const outcode = isFull ? compact.slice(0, -3) : compact;
+
+  return /^[A-Z]{1,2}[0-9][A-Z0-9]?$/.test(outcode) ? outcode : "";
+}
+
+/**
+ * Look up the approximate centre of an outcode
+ * @param {string} postcode - Full or partial postcode
+ * @returns {{lat: number, lng: number, outcode: string}|null} Centroid, or null if not bundled
+ */
+function lookupOutcodeCentroid(postcode) {
+  const outcode = getOutcode(postcode);
+  const centroid = NORTH_EAST_OUTCODES[outcode];
+
+  if (!centroid) return null;
+
+  return { lat: centroid[0], lng: centroid[1], outcode: outcode };
+}
+
+window.NorthEastOutcodes = {
+  NORTH_EAST_OUTCODES,
+  getOutcode,
+  lookupOutcodeCentroid,
+};
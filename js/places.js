@@ -0,0 +1,278 @@
+// =============================================================================
+// NORTH EAST PLACE GAZETTEER
+// Approximate centre points for towns, villages and districts across the
+// North East, so searches like "Durham" or "Hartlepool" become radius searches
+// instantly and offline. Anything not listed falls back to network geocoding.
+// =============================================================================
+
+const NORTH_EAST_PLACES = {
+  "Tyne and Wear": {
+    "Newcastle upon Tyne": [54.978, -1.614],
+    Gateshead: [54.953, -1.603],
+    Sunderland: [54.906, -1.381],
+    "South Shields": [54.999, -1.432],
+    "North Shields": [55.008, -1.449],
+    Tynemouth: [55.017, -1.425],
+    "Whitley Bay": [55.045, -1.447],
+    Cullercoats: [55.034, -1.433],
+    Wallsend: [54.991, -1.534],
+    Jarrow: [54.98, -1.485],
+    Hebburn: [54.973, -1.513],
+    Washington: [54.9, -1.52],
+    "Houghton-le-Spring": [54.841, -1.469],
+    "Hetton-le-Hole": [54.822, -1.449],
+    "Blaydon-on-Tyne": [54.963, -1.713],
+    Winlaton: [54.948, -1.722],
+    Ryton: [54.973, -1.766],
+    Crawcrook: [54.964, -1.786],
+    Whickham: [54.945, -1.677],
+    "Rowlands Gill": [54.92, -1.744],
+    Felling: [54.951, -1.566],
+    "Low Fell": [54.94, -1.598],
+    Birtley: [54.898, -1.577],
+    Gosforth: [55.005, -1.617],
+    Heaton: [54.983, -1.577],
+    Byker: [54.974, -1.574],
+    Walker: [54.972, -1.54],
+    Benwell: [54.971, -1.657],
+    Fenham: [54.982, -1.653],
+    Kenton: [55.004, -1.651],
+    Westerhope: [54.999, -1.697],
+    Longbenton: [55.004, -1.563],
+    "Forest Hall": [55.018, -1.555],
+    Killingworth: [55.032, -1.556],
+    Wideopen: [55.045, -1.625],
+    "East Boldon": [54.945, -1.423],
+    "West Boldon": [54.945, -1.447],
+    "Boldon Colliery": [54.951, -1.465],
+    Cleadon: [54.955, -1.402],
+    Whitburn: [54.953, -1.367],
+    Roker: [54.922, -1.369],
+    Seaburn: [54.93, -1.369],
+  },
+  Northumberland: {
+    Morpeth: [55.168, -1.69],
+    Hexham: [54.971, -2.101],
+    Blyth: [55.127, -1.509],
+    Cramlington: [55.086, -1.585],
+    Ashington: [55.182, -1.568],
+    Bedlington: [55.131, -1.597],
+    "Newbiggin-by-the-Sea": [55.185, -1.512],
+    Lynemouth: [55.205, -1.54],
+    Stakeford: [55.162, -1.58],
+    "Seaton Delaval": [55.072, -1.523],
+    "Seaton Sluice": [55.084, -1.474],
+    "Seaton Burn": [55.063, -1.625],
+    Dudley: [55.062, -1.609],
+    Ponteland: [55.051, -1.744],
+    Alnwick: [55.413, -1.706],
+    Amble: [55.334, -1.582],
+    Rothbury: [55.31, -1.911],
+    Seahouses: [55.581, -1.656],
+    Wooler: [55.547, -2.011],
+    "Berwick-upon-Tweed": [55.771, -2.007],
+    Bellingham: [55.144, -2.254],
+    Prudhoe: [54.961, -1.855],
+    Wylam: [54.976, -1.82],
+    Stocksfield: [54.947, -1.907],
+    "Riding Mill": [54.946, -1.971],
+    Corbridge: [54.975, -2.018],
+    Haltwhistle: [54.97, -2.459],
+    Allendale: [54.897, -2.253],
+  },
+  "County Durham": {
+    Durham: [54.776, -1.575],
+    "Chester-le-Street": [54.859, -1.574],
+    "Great Lumley": [54.833, -1.543],
+    Fencehouses: [54.834, -1.507],
+    Pelton: [54.872, -1.607],
+    Sacriston: [54.823, -1.626],
+    Stanley: [54.868, -1.696],
+    "Annfield Plain": [54.858, -1.741],
+    Burnopfield: [54.909, -1.727],
+    Consett: [54.854, -1.831],
+    Lanchester: [54.822, -1.744],
+    "Newton Hall": [54.797, -1.574],
+    Belmont: [54.784, -1.53],
+    Gilesgate: [54.781, -1.556],
+    Brandon: [54.751, -1.63],
+    "Ushaw Moor": [54.777, -1.647],
+    "Esh Winning": [54.769, -1.704],
+    Bowburn: [54.738, -1.519],
+    Coxhoe: [54.716, -1.504],
+    Seaham: [54.839, -1.344],
+    Murton: [54.815, -1.397],
+    Easington: [54.785, -1.357],
+    "Easington Colliery": [54.787, -1.325],
+    Horden: [54.767, -1.317],
+    Peterlee: [54.76, -1.336],
+    "Blackhall Colliery": [54.748, -1.281],
+    "Shotton Colliery": [54.76, -1.384],
+    Wingate: [54.733, -1.378],
+    Trimdon: [54.7, -1.425],
+    Sedgefield: [54.653, -1.449],
+    Ferryhill: [54.69, -1.549],
+    Spennymoor: [54.699, -1.6],
+    Willington: [54.711, -1.696],
+    Crook: [54.715, -1.746],
+    "Tow Law": [54.742, -1.816],
+    "Bishop Auckland": [54.663, -1.677],
+    Shildon: [54.631, -1.646],
+    "Newton Aycliffe": [54.617, -1.572],
+    Heighington: [54.593, -1.621],
+    Darlington: [54.524, -1.553],
+    Hurworth: [54.485, -1.537],
+    "Middleton St George": [54.509, -1.465],
+    Staindrop: [54.581, -1.799],
+    "Barnard Castle": [54.543, -1.92],
+    "Middleton-in-Teesdale": [54.625, -2.081],
+    Stanhope: [54.748, -2.008],
+  },
+  "Tees Valley": {
+    Hartlepool: [54.685, -1.211],
+    "Seaton Carew": [54.663, -1.193],
+    Billingham: [54.608, -1.29],
+    Norton: [54.586, -1.314],
+    "Stockton-on-Tees": [54.57, -1.319],
+    "Thornaby-on-Tees": [54.548, -1.298],
+    "Ingleby Barwick": [54.527, -1.304],
+    Eaglescliffe: [54.53, -1.349],
+    Yarm: [54.506, -1.356],
+    Middlesbrough: [54.574, -1.235],
+    Acklam: [54.547, -1.255],
+    "Coulby Newham": [54.527, -1.218],
+    Nunthorpe: [54.524, -1.173],
+    Normanby: [54.555, -1.165],
+    Eston: [54.559, -1.145],
+    Redcar: [54.616, -1.069],
+    "Marske-by-the-Sea": [54.596, -1.017],
+    "Saltburn-by-the-Sea": [54.583, -0.974],
+    Guisborough: [54.535, -1.056],
+    Skelton: [54.561, -1.0],
+    Brotton: [54.567, -0.939],
+    Loftus: [54.556, -0.894],
+  },
+  "North Yorkshire": {
+    Northallerton: [54.339, -1.434],
+    Richmond: [54.403, -1.737],
+    "Catterick Garrison": [54.374, -1.723],
+    Whitby: [54.486, -0.615],
+  },
+};
+
+/**
+ * Lower-case a place name and reduce punctuation to single spaces, so
+ * "Chester-le-Street" and "chester le street" compare equal
+ */
+function normalisePlaceName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// First words shared by unrelated places ("North Shields", "East Boldon"),
+// which shouldn't on their own be read as the start of a place name
+const GENERIC_PLACE_WORDS = [
+  "east",
+  "west",
+  "north",
+  "south",
+  "great",
+  "little",
+  "low",
+  "high",
+  "new",
+  "old",
+];
+
+const PLACE_LIST = [];
+Object.entries(NORTH_EAST_PLACES).forEach(([area, places]) => {
+  Object.entries(places).forEach(([name, [lat, lng]]) => {
+    PLACE_LIST.push({
+      name: name,
+      area: area,
+      lat: lat,
+      lng: lng,
+      key: normalisePlaceName(name),
+      firstWord: normalisePlaceName(name).split(" ")[0],
+    });
+  });
+});
+
+// Levenshtein distance, for spotting misspelt place names
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function toResult(place) {
+  return { name: place.name, area: place.area, lat: place.lat, lng: place.lng };
+}
+
+/**
+ * Look up a search query in the gazetteer
+ * @param {string} query - e.g. "Durham", "seaton", "hartlepol"
+ * @returns {{place: Object|null, alternatives: Array<Object>,
+ *   suggestions: Array<Object>}} The place to search around, if the query
+ *   names one (an exact name, or the start of one such as "Stockton");
+ *   other places the query could mean; and, when nothing matched, close
+ *   spellings. Places are {name, area, lat, lng}.
+ */
+function findPlace(query) {
+  const wanted = normalisePlaceName(query);
+  const empty = { place: null, alternatives: [], suggestions: [] };
+  if (wanted.length < 3) return empty;
+
+  const exact = PLACE_LIST.filter((place) => place.key === wanted);
+  // "Seaton" could be Seaton Carew, Seaton Delaval, Seaton Sluice, ...
+  const partial = GENERIC_PLACE_WORDS.includes(wanted)
+    ? []
+    : PLACE_LIST.filter((place) => place.key.startsWith(`${wanted} `));
+  const matches = [...exact, ...partial];
+
+  if (matches.length > 0) {
+    return {
+      place: toResult(matches[0]),
+      alternatives: matches.slice(1).map(toResult),
+      suggestions: [],
+    };
+  }
+
+  // Allow one typo in short names, two in longer ones
+  const tolerance = wanted.length <= 5 ? 1 : 2;
+  const suggestions = PLACE_LIST.map((place) => ({
+    place: place,
+    distance: GENERIC_PLACE_WORDS.includes(place.firstWord)
+      ? editDistance(wanted, place.key)
+      : Math.min(
+          editDistance(wanted, place.key),
+          editDistance(wanted, place.firstWord)
+        ),
+  }))
+    .filter(({ distance }) => distance <= tolerance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map(({ place }) => toResult(place));
+
+  return { ...empty, suggestions: suggestions };
+}
+
+window.NorthEastPlaces = {
+  NORTH_EAST_PLACES,
+  normalisePlaceName,
+  findPlace,
+};
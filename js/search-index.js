@@ -0,0 +1,365 @@
+// =============================================================================
+// EVENT SEARCH INDEX
+// A small full-text index over the loaded events, built once when they load.
+// Every word of a search must match (allowing for plurals, tenses, unfinished
+// words and small typos), "quoted phrases" must match word for word, and
+// results are scored so title matches outrank venue matches, which outrank
+// description matches.
+// =============================================================================
+
+// Fields searched, in order of importance
+const EVENT_SEARCH_FIELDS = [
+  { name: "title", weight: 5, value: (event) => event.title },
+  {
+    name: "venue",
+    weight: 3,
+    value: (event) => [event.venue?.name, event.location].join(" "),
+  },
+  { name: "description", weight: 1, value: (event) => event.description },
+];
+
+// Words too common to narrow a search. They still count inside phrases.
+const SEARCH_STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "at",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+]);
+
+// How much a match counts, relative to the exact word
+const PREFIX_MATCH_SCORE = 0.7;
+const TYPO_MATCH_SCORE = 0.5;
+
+/**
+ * Split text into lower-case words, ignoring accents and apostrophes
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Words, e.g. "Veterans' Café" -> ["veterans", "cafe"]
+ */
+function tokeniseSearchText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function isConsonant(word, i) {
+  if ("aeiou".includes(word[i])) return false;
+  // "y" is a vowel after a consonant, as in "happy"
+  return word[i] !== "y" || i === 0 || !isConsonant(word, i - 1);
+}
+
+// Number of vowel-consonant sequences, roughly the syllables in a stem
+function stemMeasure(stem) {
+  let count = 0;
+  for (let i = 1; i < stem.length; i++) {
+    if (isConsonant(stem, i) && !isConsonant(stem, i - 1)) count++;
+  }
+  return count;
+}
+
+function stemHasVowel(stem) {
+  return Array.from(stem).some((_, i) => !isConsonant(stem, i));
+}
+
+// Consonant-vowel-consonant ending, as in "hop" (but not "snow" or "box")
+function endsShortSyllable(stem) {
+  const n = stem.length;
+  return (
+    n >= 3 &&
+    isConsonant(stem, n - 3) &&
+    !isConsonant(stem, n - 2) &&
+    isConsonant(stem, n - 1) &&
+    !"wxy".includes(stem[n - 1])
+  );
+}
+
+/**
+ * Reduce an English word to its stem, so "walks", "walked" and "walking" all
+ * match "walk". Uses the plural and tense rules (step 1) of the Porter
+ * stemmer; stems aren't always real words ("activity" -> "activiti").
+ * @param {string} word - Lower-case word
+ * @returns {string} Stem
+ */
+function stemWord(word) {
+  if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let stem = word;
+
+  // Plurals
+  if (stem.endsWith("sses") || stem.endsWith("ies")) {
+    stem = stem.slice(0, -2);
+  } else if (/[^su]s$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  // Past tenses and -ing
+  if (stem.endsWith("eed")) {
+    if (stemMeasure(stem.slice(0, -3)) > 0) stem = stem.slice(0, -1);
+  } else {
+    const suffix = ["ed", "ing"].find(
+      (s) => stem.endsWith(s) && stemHasVowel(stem.slice(0, -s.length))
+    );
+
+    if (suffix) {
+      stem = stem.slice(0, -suffix.length);
+
+      if (/(at|bl|iz)$/.test(stem)) {
+        stem += "e"; // "located" -> "locate"
+      } else if (/([^aeioulsz])\1$/.test(stem)) {
+        stem = stem.slice(0, -1); // "running" -> "run"
+      } else if (stemMeasure(stem) === 1 && endsShortSyllable(stem)) {
+        stem += "e"; // "hoping" -> "hope"
+      }
+    }
+  }
+
+  // "happy" and "happies" -> "happi"
+  if (stem.endsWith("y") && stemHasVowel(stem.slice(0, -1))) {
+    stem = `${stem.slice(0, -1)}i`;
+  }
+
+  return stem;
+}
+
+/**
+ * Split a search into words and "quoted phrases". An unclosed quote runs to
+ * the end of the search.
+ * @param {string} query - Search text
+ * @returns {{terms: Array<string>, phrases: Array<Array<string>>}} Words to
+ *   match (without stop words), and phrases as lists of stems
+ */
+function parseSearchQuery(query) {
+  const terms = [];
+  const phrases = [];
+
+  String(query || "")
+    .split('"')
+    .forEach((part, i) => {
+      const words = tokeniseSearchText(part);
+
+      // Odd-numbered parts were inside quotes
+      if (i % 2 === 1 && words.length > 0) {
+        phrases.push(words.map(stemWord));
+      } else {
+        terms.push(...words.filter((word) => !SEARCH_STOP_WORDS.has(word)));
+      }
+    });
+
+  return { terms: terms, phrases: phrases };
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds a limit
+ * @returns {number} Distance, or limit + 1 if greater than the limit
+ */
+function boundedEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > limit) return limit + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Allow one typo in words of four to seven letters, two in longer words
+function getTypoTolerance(word) {
+  if (word.length < 4 || /\d/.test(word)) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+class SearchIndex {
+  /**
+   * @param {Array<Object>} documents - Documents to index, usually events
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.fields] - Fields to index, each
+   *   {name, weight, value(document)}
+   * @param {Function} [options.getId] - Document id, used in search results
+   */
+  constructor(
+    documents,
+    { fields = EVENT_SEARCH_FIELDS, getId = (document) => document.id } = {}
+  ) {
+    this.documentCount = documents.length;
+    this.postings = new Map(); // stem -> Map(id -> weighted count)
+    this.fieldStems = new Map(); // id -> each field's stems, for phrases
+    this.fieldWeights = fields.map((field) => field.weight);
+    this.expansions = new Map(); // search word -> matching stems
+
+    documents.forEach((document) => {
+      const id = getId(document);
+
+      const stemsByField = fields.map((field) =>
+        tokeniseSearchText(field.value(document)).map(stemWord)
+      );
+      this.fieldStems.set(id, stemsByField);
+
+      const weights = new Map();
+      stemsByField.forEach((stems, f) => {
+        const counts = new Map();
+        stems
+          .filter((stem) => !SEARCH_STOP_WORDS.has(stem))
+          .forEach((stem) => counts.set(stem, (counts.get(stem) || 0) + 1));
+
+        // Repeats count for less than the first mention
+        counts.forEach((count, stem) => {
+          weights.set(
+            stem,
+            (weights.get(stem) || 0) +
+              fields[f].weight * (1 + Math.log(count))
+          );
+        });
+      });
+
+      weights.forEach((weight, stem) => {
+        if (!this.postings.has(stem)) this.postings.set(stem, new Map());
+        this.postings.get(stem).set(id, weight);
+      });
+    });
+  }
+
+  /**
+   * Find documents matching a search
+   * @param {string} query - Search text
+   * @returns {Map<*, number>|null} Relevance score by id for every document
+   *   matching all words and phrases, best first; or null when the search
+   *   has nothing to match on (empty, or only stop words)
+   */
+  search(query) {
+    const { terms, phrases } = parseSearchQuery(query);
+
+    if (terms.length === 0 && phrases.length === 0) return null;
+
+    let results = null;
+    const narrow = (scores) => {
+      if (!results) {
+        results = scores;
+        return;
+      }
+      const narrowed = new Map();
+      results.forEach((score, id) => {
+        if (scores.has(id)) narrowed.set(id, score + scores.get(id));
+      });
+      results = narrowed;
+    };
+
+    terms.forEach((term) => narrow(this.scoreTerm(term)));
+    phrases.forEach((phrase) => narrow(this.scorePhrase(phrase)));
+
+    return new Map([...results].sort((a, b) => b[1] - a[1]));
+  }
+
+  /**
+   * Stems in the index that a search word could mean: its own stem and words
+   * it's the start of (for searches typed as you go), or failing those, near
+   * spellings
+   * @param {string} word - Search word
+   * @returns {Array<{stem: string, quality: number}>} Matching stems, with
+   *   how closely each matches (1 for the word itself)
+   */
+  expandTerm(word) {
+    if (this.expansions.has(word)) return this.expansions.get(word);
+
+    const wordStem = stemWord(word);
+    const stems = Array.from(this.postings.keys());
+    let matches = [];
+
+    stems.forEach((stem) => {
+      if (stem === wordStem) {
+        matches.push({ stem: stem, quality: 1 });
+      } else if (stem.startsWith(word) || stem.startsWith(wordStem)) {
+        // Even one or two letters, so the list doesn't empty mid-word
+        matches.push({ stem: stem, quality: PREFIX_MATCH_SCORE });
+      }
+    });
+
+    // Only look for typos when the word isn't in the index as typed, so
+    // "breakf" finds "breakfast" rather than "break"
+    const tolerance = getTypoTolerance(wordStem);
+    if (matches.length === 0 && tolerance > 0) {
+      matches = stems
+        .map((stem) => ({
+          stem: stem,
+          distance: boundedEditDistance(wordStem, stem, tolerance),
+        }))
+        .filter(({ distance }) => distance <= tolerance)
+        .map(({ stem, distance }) => ({
+          stem: stem,
+          quality: TYPO_MATCH_SCORE / distance,
+        }));
+    }
+
+    this.expansions.set(word, matches);
+    return matches;
+  }
+
+  /**
+   * Score every document containing a search word. Rarer words score higher.
+   * @returns {Map<*, number>} Score by id
+   */
+  scoreTerm(word) {
+    const scores = new Map();
+
+    this.expandTerm(word).forEach(({ stem, quality }) => {
+      const postings = this.postings.get(stem);
+      const rarity = Math.log(1 + this.documentCount / postings.size);
+
+      postings.forEach((weight, id) => {
+        const score = weight * rarity * quality;
+        if (score > (scores.get(id) || 0)) scores.set(id, score);
+      });
+    });
+
+    return scores;
+  }
+
+  /**
+   * Score every document containing a phrase, word for word, in one field
+   * @param {Array<string>} phrase - Stems of the phrase's words
+   * @returns {Map<*, number>} Score by id
+   */
+  scorePhrase(phrase) {
+    const scores = new Map();
+
+    this.fieldStems.forEach((stemsByField, id) => {
+      stemsByField.forEach((stems, f) => {
+        const found = stems.some((_, start) =>
+          phrase.every((stem, i) => stems[start + i] === stem)
+        );
+        if (found) {
+          const score = this.fieldWeights[f] * phrase.length;
+          if (score > (scores.get(id) || 0)) scores.set(id, score);
+        }
+      });
+    });
+
+    return scores;
+  }
+}
+
+window.SearchIndex = SearchIndex;
@@ -0,0 +1,127 @@
+// =============================================================================
+// URL STATE
+// Reads and writes the filter, selection and map view query parameters so a
+// view of the map can be bookmarked or shared, e.g.
+//   ?q=DH1&category=breakfast-club,drop-in&days=sat,sun&range=week&map=54.7761,-1.5733,12
+// =============================================================================
+
+const URL_DATE_RANGES = [
+  "today",
+  "week",
+  "weekend",
+  "next-week",
+  "month",
+  "all",
+];
+const URL_LIST_VIEWS = ["chronological", "series"];
+const URL_DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const URL_TIMES_OF_DAY = ["morning", "afternoon", "evening"];
+
+// Comma-separated list parameter, keeping only allowed values if given
+function getListParam(params, name, allowed = null) {
+  return (params.get(name) || "")
+    .split(",")
+    .filter((value) => value && (!allowed || allowed.includes(value)));
+}
+
+// ISO date parameter, or "" if missing or malformed
+function getDateParam(params, name) {
+  const value = params.get(name) || "";
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : "";
+}
+
+/**
+ * Parse view state from a query string, ignoring anything malformed
+ * @param {string} search - e.g. window.location.search
+ * @returns {Object} State with q, categories, match, days, times, from, to,
+ *   range, hidden, radius, view, event and map (match is 'any' or 'all' of
+ *   the categories; from and to are ISO dates or ""; radius is km or null;
+ *   map is {lat, lng, zoom} or null)
+ */
+function parseUrlState(search) {
+  const params = new URLSearchParams(search || "");
+
+  const range = params.get("range");
+  const view = params.get("view");
+  const radius = Number(params.get("radius"));
+  // Links from before the date range picker have a single date
+  const date = getDateParam(params, "date");
+
+  let map = null;
+  const mapParts = (params.get("map") || "").split(",").map(Number);
+  if (
+    mapParts.length === 3 &&
+    mapParts.every(Number.isFinite) &&
+    Math.abs(mapParts[0]) <= 90 &&
+    Math.abs(mapParts[1]) <= 180
+  ) {
+    map = {
+      lat: mapParts[0],
+      lng: mapParts[1],
+      zoom: Math.min(Math.max(Math.round(mapParts[2]), 1), 19),
+    };
+  }
+
+  return {
+    q: (params.get("q") || "").trim(),
+    categories: getListParam(params, "category"),
+    match: params.get("match") === "all" ? "all" : "any",
+    days: getListParam(params, "days", URL_DAYS),
+    times: getListParam(params, "time", URL_TIMES_OF_DAY),
+    from: getDateParam(params, "from") || date,
+    to: getDateParam(params, "to") || date,
+    range: URL_DATE_RANGES.includes(range) ? range : "all",
+    hidden: getListParam(params, "hide"),
+    radius: radius > 0 && radius <= 100 ? radius : null,
+    view: URL_LIST_VIEWS.includes(view) ? view : "chronological",
+    event: params.get("event") || null,
+    map: map,
+  };
+}
+
+/**
+ * Build a query string from view state, leaving out default values
+ * @param {Object} state - State in the shape returned by parseUrlState()
+ * @returns {string} Query string including the leading "?", or "" when empty
+ */
+function buildUrlSearch(state) {
+  const params = new URLSearchParams();
+
+  if (state.q) params.set("q", state.q);
+  if (state.categories && state.categories.length > 0) {
+    params.set("category", state.categories.join(","));
+    if (state.match === "all") params.set("match", "all");
+  }
+  if (state.days && state.days.length > 0) {
+    params.set("days", state.days.join(","));
+  }
+  if (state.times && state.times.length > 0) {
+    params.set("time", state.times.join(","));
+  }
+  if (state.from) params.set("from", state.from);
+  if (state.to) params.set("to", state.to);
+  if (state.range && state.range !== "all") params.set("range", state.range);
+  if (state.hidden && state.hidden.length > 0) {
+    params.set("hide", state.hidden.join(","));
+  }
+  if (state.radius) params.set("radius", String(state.radius));
+  if (state.view && state.view !== "chronological") {
+    params.set("view", state.view);
+  }
+  if (state.event != null) params.set("event", String(state.event));
+
+  const parts = params.toString() ? [params.toString()] : [];
+  if (state.map) {
+    // Added by hand so the commas stay readable rather than becoming %2C
+    parts.push(
+      `map=${state.map.lat.toFixed(4)},${state.map.lng.toFixed(4)},${state.map.zoom}`
+    );
+  }
+
+  return parts.length > 0 ? `?${parts.join("&")}` : "";
+}
+
+window.UrlState = {
+  parseUrlState,
+  buildUrlSearch,
+};
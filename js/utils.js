@@ -145,23 +145,61 @@ function validateSearchInput(input) {
   const maxLength = 100;
   let sanitised = input.trim().substring(0, maxLength);
 
-  // Remove potentially dangerous characters
-  sanitised = sanitised.replace(/[<>\"']/g, "");
+  // Remove potentially dangerous characters. Double quotes are kept for
+  // phrase searches.
+  sanitised = sanitised.replace(/[<>']/g, "");
 
   return sanitised;
 }
 
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} text - Text to escape; null and undefined become ""
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text == null ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Offer generated content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type, e.g. "text/csv;charset=utf-8"
+ */
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type: type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing it
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // =============================================================================
 // CONSTANTS
 // =============================================================================
 
 const CONFIG = {
   EVENTS_PER_PAGE: 20,
-  MAX_MARKERS_ON_MAP: 100,
+  INFINITE_SCROLL: true,
+  SEARCH_RADIUS_KM: 15,
   DEBOUNCE_DELAY: 300,
   TOAST_DURATION: 3000,
   API_RETRY_ATTEMPTS: 2,
   API_RETRY_DELAY: 1000,
+  GEOCODE_CACHE_TTL_DAYS: 30,
+  GEOCODE_CACHE_MAX_ENTRIES: 500,
 };
 
 // Export utilities for use in main script
@@ -173,5 +211,7 @@ window.EventMapUtils = {
   sanitiseText,
   sanitiseHtml,
   validateSearchInput,
+  escapeHtml,
+  downloadFile,
   CONFIG,
 };
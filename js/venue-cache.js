@@ -0,0 +1,84 @@
+// =============================================================================
+// VENUE COORDINATE CACHE & REGISTRY
+// Shared by geocode-venues.js (build time) and script.js (browser) so both
+// agree on how calendar locations map to entries in venues.json and
+// venue-registry.json
+// =============================================================================
+
+/**
+ * Normalise a calendar location string into a cache key
+ * @param {string} location - Raw location from the calendar event
+ * @returns {string} Normalised key, or an empty string for blank locations
+ */
+function normaliseLocationKey(location) {
+  if (!location || typeof location !== "string") return "";
+
+  return location
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/\s*,\s*/g, ", ")
+    .replace(/,?\s*(uk|united kingdom)$/, "") // Google appends the country inconsistently
+    .trim();
+}
+
+/**
+ * Look up cached coordinates for a location
+ * @param {Object} venues - The `venues` map from venues.json
+ * @param {string} location - Raw location from the calendar event
+ * @returns {{lat: number, lng: number}|null} Coordinates, or null if not cached
+ */
+function lookupVenueCoordinates(venues, location) {
+  const entry = venues && venues[normaliseLocationKey(location)];
+
+  if (!entry || typeof entry.lat !== "number" || typeof entry.lng !== "number") {
+    return null;
+  }
+
+  return { lat: entry.lat, lng: entry.lng };
+}
+
+/**
+ * Find the venue-registry.json entry for a location, if any.
+ * Entries match on `aliases` (compared after normalisation) or on
+ * `patterns` (case-insensitive regular expressions tested against the raw text).
+ * @param {Array<Object>} registry - The `venues` array from venue-registry.json
+ * @param {string} location - Raw location from the calendar event
+ * @returns {Object|null} Matching registry entry
+ */
+function matchVenueRegistry(registry, location) {
+  if (!Array.isArray(registry) || !location) return null;
+
+  const key = normaliseLocationKey(location);
+
+  return (
+    registry.find((venue) => {
+      const aliases = venue.aliases || [];
+      if (aliases.some((alias) => normaliseLocationKey(alias) === key)) {
+        return true;
+      }
+
+      return (venue.patterns || []).some((pattern) => {
+        try {
+          return new RegExp(pattern, "i").test(location);
+        } catch (error) {
+          console.warn(`Invalid venue registry pattern "${pattern}":`, error.message);
+          return false;
+        }
+      });
+    }) || null
+  );
+}
+
+const VenueCache = {
+  SCHEMA_VERSION: 1,
+  REGISTRY_SCHEMA_VERSION: 1,
+  normaliseLocationKey,
+  lookupVenueCoordinates,
+  matchVenueRegistry,
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = VenueCache;
+} else {
+  window.VenueCache = VenueCache;
+}
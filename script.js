@@ -5,31 +5,84 @@ class EventMap {
   constructor() {
     this.map = null;
     this.markers = [];
+    this.markerCluster = null; // Groups nearby markers into count badges
+    this.legendControl = null; // Category key, also used to hide categories
+    this.hiddenCategories = new Set(); // Category ids switched off in the legend
+    this.selectedCategories = new Set(); // Category chips switched on
+    this.categoryMatch = "any"; // Match 'any' or 'all' of the selected categories
+    this.selectedDays = new Set(); // Day of the week chips, e.g. 'sat'
+    this.selectedTimesOfDay = new Set(); // 'morning', 'afternoon', 'evening'
     this.events = [];
     this.filteredEvents = [];
+    this.searchIndex = null; // Full-text index of the events (js/search-index.js)
+    this.searchScores = null; // Relevance by event id while a text search ranks the list
+    this.seriesStarts = new Map(); // Start times by recurringEventId, for calendar export
+    this.recurrenceRules = new Map(); // Inferred RRULE by series and start
+    this.listEntries = []; // Events and series cards the list can show
     this.displayedEvents = []; // Events currently shown in the list
 
-    // Recurring event IDs to exclude (Public Announcements)
-    this.excludedRecurringEventIds = [
-      "2scpgqhjtjh5tc33cg3jm3ik5c",
-      "30ed1sa1ev6k8kgp0ucg1mq24j",
-    ];
-
-    // Helper to check if a recurring event should be excluded
-    this.isExcludedRecurringEvent = (recurringEventId) =>
-      this.excludedRecurringEventIds.includes(recurringEventId);
+    // Rules for calendar entries that aren't events (see js/event-rules.js)
+    this.eventRules = window.EventRules.resolveEventRules(
+      window.EventRules.DEFAULT_EVENT_RULES,
+      window.CALENDAR_CONFIG?.EVENT_RULES
+    );
 
     // Use config constants
     const config = window.EventMapUtils?.CONFIG || {};
     this.eventsPerPage = config.EVENTS_PER_PAGE || 20;
-    this.maxMarkersOnMap = config.MAX_MARKERS_ON_MAP || 100;
+    this.infiniteScroll = config.INFINITE_SCROLL !== false;
+    this.listObservers = new Map(); // Infinite scroll observer per list
 
     this.currentPage = 0;
-    this.currentDateFilter = "all"; // 'today', 'week', 'month', 'all'
+    // 'today', 'week', 'weekend', 'next-week', 'month', 'all', or 'custom'
+    // for the from/to date pickers
+    this.currentDateFilter = "all";
+    this.listView = "chronological"; // 'chronological' or 'series'
+    this.selectedEventId = null; // Last event highlighted in the list
+    this.searchCoords = null; // Centre of the current proximity search, if any
+    this.userLocation = null; // Set by "Use my location"
+    this.defaultSearchRadius = config.SEARCH_RADIUS_KM || 15;
+    this.searchRadius = this.defaultSearchRadius; // km, for proximity search
+    this.searchCircle = null; // Map layer showing the search radius
+    this.placeSuggestions = []; // Close spellings of a place name that wasn't found
+    this.geocodedPlaces = new Map(); // Place searches resolved over the network
+    // Titles and dates of events that have already happened, so old
+    // permalinks can explain why the event is no longer shown
+    this.pastEvents = new Map();
+
+    // Set while applying state from the URL, so it isn't written straight back
+    this.isRestoringUrlState = false;
+    this.urlSearch = null; // Query string last read from or written to the URL
+
+    // Metadata about the loaded event data (source, fetch time, etc.)
+    this.dataInfo = null;
+
+    // Pre-geocoded venue coordinates from venues.json, keyed by normalised location
+    this.venueCache = {};
+
+    // Hand-maintained venue aliases and coordinates from venue-registry.json
+    this.venueRegistry = [];
 
     // Utility functions
     this.utils = window.EventMapUtils;
 
+    // Category definitions, with any site-specific overrides from config.js
+    this.categories = new window.CategoryTaxonomy(
+      window.DEFAULT_CATEGORY_TAXONOMY,
+      window.CALENDAR_CONFIG?.CATEGORY_TAXONOMY
+    );
+
+    // Geocoding results persisted across page loads
+    this.geocodeCache = window.GeocodeCache
+      ? new window.GeocodeCache({
+          ttlDays: config.GEOCODE_CACHE_TTL_DAYS || 30,
+          missTtlHours: config.GEOCODE_CACHE_MISS_TTL_HOURS || 12,
+          maxEntries: config.GEOCODE_CACHE_MAX_ENTRIES || 500,
+        })
+      : null;
+
+    this.geocoder = this.createGeocoder();
+
     this.init();
   }
 
@@ -39,39 +92,245 @@ class EventMap {
       this.utils.showLoadingSpinner("Loading events...");
     }
 
-    // Try to load events from Google Calendar API
-
     try {
-      await this.loadGoogleCalendarEvents();
-    } catch (apiError) {
-      console.warn("Could not load Google Calendar events:", apiError);
+      await this.loadEvents();
+    } catch (loadError) {
+      console.warn("Could not load events:", loadError);
+      this.utils?.showToast(
+        "Could not load events. Please try again later.",
+        "error"
+      );
     }
 
     this.filteredEvents = [...this.events];
+    this.searchIndex = new window.SearchIndex(this.events);
+    this.seriesStarts.clear();
+    this.recurrenceRules.clear();
+    this.showDataFreshness();
     this.initMap();
     this.populateCategoryFilter();
+    this.populateDayAndTimeFilters();
     this.displayEvents();
     this.setupEventListeners();
 
+    // Apply any filters, selection and map view from a shared link, and
+    // follow them through back/forward navigation
+    await this.restoreUrlState();
+    window.addEventListener("popstate", () => {
+      // Hash-only navigation (event permalinks) fires popstate too
+      if (window.location.search !== this.urlSearch) {
+        this.restoreUrlState();
+      }
+    });
+    this.map.on("moveend", () => this.syncUrlState({ replace: true }));
+
+    // Event permalinks (#/event/<id>) take priority over the saved view
+    this.showEventFromRoute();
+    window.addEventListener("hashchange", () => this.showEventFromRoute());
+
     // Hide loading state
     if (this.utils) {
       this.utils.hideLoadingSpinner();
     }
   }
 
+  async loadEvents() {
+    const config = window.CALENDAR_CONFIG || {};
+    const dataSource = config.DATA_SOURCE || "static";
+
+    // Venue coordinates are needed by both data sources
+    await Promise.all([this.loadVenueRegistry(), this.loadVenueCache()]);
+
+    // 'live' skips the snapshot entirely and always queries the Calendar API
+    if (dataSource === "live") {
+      await this.loadGoogleCalendarEvents();
+      return;
+    }
+
+    try {
+      await this.loadLocalCalendarEvents();
+    } catch (snapshotError) {
+      // Only 'auto' is allowed to fall back to the live API
+      if (dataSource !== "auto") {
+        throw snapshotError;
+      }
+      console.warn(
+        "Could not load events snapshot, falling back to Google Calendar API:",
+        snapshotError
+      );
+      await this.loadGoogleCalendarEvents();
+    }
+  }
+
+  async loadVenueCache() {
+    // venues.json is written by geocode-venues.js at build time
+    const config = window.CALENDAR_CONFIG || {};
+    const venuesUrl = config.VENUES_DATA_URL || "venues.json";
+
+    try {
+      const response = await fetch(venuesUrl, { cache: "no-cache" });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      if (data.schemaVersion !== window.VenueCache?.SCHEMA_VERSION) {
+        throw new Error(`unsupported schema version ${data.schemaVersion}`);
+      }
+
+      this.venueCache = data.venues || {};
+    } catch (error) {
+      // Not fatal - locations are geocoded on the fly instead
+      console.warn("Venue coordinate cache unavailable:", error.message);
+      this.venueCache = {};
+    }
+  }
+
+  async loadVenueRegistry() {
+    const config = window.CALENDAR_CONFIG || {};
+    const registryUrl = config.VENUE_REGISTRY_URL || "venue-registry.json";
+
+    try {
+      const response = await fetch(registryUrl, { cache: "no-cache" });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      if (data.schemaVersion !== window.VenueCache?.REGISTRY_SCHEMA_VERSION) {
+        throw new Error(`unsupported schema version ${data.schemaVersion}`);
+      }
+
+      this.venueRegistry = Array.isArray(data.venues) ? data.venues : [];
+    } catch (error) {
+      console.warn("Venue registry unavailable:", error.message);
+      this.venueRegistry = [];
+    }
+  }
+
+  lookupVenueRegistry(location) {
+    if (!window.VenueCache) return null;
+    return window.VenueCache.matchVenueRegistry(this.venueRegistry, location);
+  }
+
+  lookupVenueCache(location) {
+    if (!window.VenueCache) return null;
+    return window.VenueCache.lookupVenueCoordinates(this.venueCache, location);
+  }
+
+  async loadLocalCalendarEvents() {
+    // Load the snapshot written by fetch-events.js during deployment
+    const config = window.CALENDAR_CONFIG || {};
+    const snapshotUrl = config.EVENTS_DATA_URL || "google-calendar-events";
+
+    const response = await fetch(snapshotUrl, { cache: "no-cache" });
+
+    if (!response.ok) {
+      throw new Error(
+        `Events snapshot error: ${response.status} ${response.statusText}`
+      );
+    }
+
+    const snapshot = this.parseEventsSnapshot(await response.text());
+
+    if (snapshot.items.length === 0) {
+      console.warn("No events found in events snapshot");
+    }
+
+    if (snapshot.meta.truncated) {
+      console.warn(
+        `Events snapshot was truncated at ${snapshot.meta.itemCount} events`
+      );
+    }
+
+    this.dataInfo = { source: "snapshot", ...snapshot.meta };
+    this.events = await this.processCalendarItems(snapshot.items);
+  }
+
+  parseEventsSnapshot(text) {
+    const trimmed = text.trim();
+
+    // Schema version 1 is the bare ` "items": [...]` fragment written by
+    // older releases of fetch-events.js, so wrap it in braces before parsing
+    const isFragment = !trimmed.startsWith("{");
+    const data = JSON.parse(isFragment ? `{${trimmed}}` : trimmed);
+    const items = Array.isArray(data.items) ? data.items : [];
+
+    if (isFragment || !data.schemaVersion) {
+      return {
+        items: items,
+        meta: { schemaVersion: 1, fetchedAt: null, itemCount: items.length },
+      };
+    }
+
+    return {
+      items: items,
+      meta: {
+        schemaVersion: data.schemaVersion,
+        fetchedAt: data.fetchedAt || null,
+        calendarIdHash: data.calendarIdHash || null,
+        timeWindow: data.timeWindow || null,
+        itemCount: data.itemCount ?? items.length,
+        truncated: Boolean(data.truncated),
+      },
+    };
+  }
+
+  isSnapshotStale(fetchedAt) {
+    // The deploy workflow refreshes the snapshot daily, so allow some slack
+    const config = window.CALENDAR_CONFIG || {};
+    const staleAfterHours = config.SNAPSHOT_STALE_HOURS || 36;
+    const ageMs = Date.now() - new Date(fetchedAt).getTime();
+    return ageMs > staleAfterHours * 60 * 60 * 1000;
+  }
+
+  showDataFreshness() {
+    const freshness = document.getElementById("dataFreshness");
+    if (!freshness || !this.dataInfo) return;
+
+    if (this.dataInfo.source === "live") {
+      freshness.textContent = "Showing live calendar data";
+    } else if (this.dataInfo.fetchedAt) {
+      const fetchedAt = new Date(this.dataInfo.fetchedAt);
+      const refreshed = fetchedAt.toLocaleString("en-GB", {
+        dateStyle: "medium",
+        timeStyle: "short",
+      });
+
+      if (this.isSnapshotStale(fetchedAt)) {
+        freshness.textContent = `Data last refreshed at ${refreshed} - some events may be out of date`;
+        freshness.classList.replace("text-gray-500", "text-amber-700");
+        console.warn(`Events snapshot is stale (fetched ${fetchedAt.toISOString()})`);
+      } else {
+        freshness.textContent = `Data last refreshed at ${refreshed}`;
+      }
+    } else {
+      // Legacy snapshots carry no fetch time
+      return;
+    }
+
+    if (this.dataInfo.truncated) {
+      freshness.textContent += ` (first ${this.dataInfo.itemCount} calendar entries only)`;
+    }
+
+    freshness.classList.remove("hidden");
+  }
+
   async processCalendarItems(items) {
     const processedEvents = [];
     const now = new Date();
 
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
+    // Drop announcements and other non-event entries
+    const { kept, report } = window.EventRules.applyEventRules(
+      items,
+      this.eventRules
+    );
+    this.reportExcludedEvents(report);
+
+    for (let i = 0; i < kept.length; i++) {
+      const item = kept[i];
 
       try {
-        // Skip excluded recurring events (Public Announcements)
-        if (this.isExcludedRecurringEvent(item.recurringEventId)) {
-          continue;
-        }
-
         // Check if event is in the past
         const eventDate = new Date(item.start?.dateTime || item.start?.date);
         const eventDateTime = new Date(
@@ -81,14 +340,15 @@ class EventMap {
         today.setHours(0, 0, 0, 0);
         const eventDateOnly = new Date(eventDate);
         eventDateOnly.setHours(0, 0, 0, 0);
-
-        // Skip events from previous days, but keep today's events even if elapsed
-        if (eventDateOnly < today) {
-          continue;
-        }
-
-        // Skip non-event entries like "Useful Information"
-        if ((item.summary || "").toLowerCase().includes("useful information")) {
+        const endDateOnly = new Date(`${this.extractEndDate(item)}T00:00:00`);
+
+        // Skip events that finished on previous days, but keep today's events
+        // even if elapsed, and multi-day events that are still running
+        if (endDateOnly < today) {
+          this.pastEvents.set(this.getEventId(item, i + 1), {
+            title: this.sanitiseText(item.summary || "Unnamed Event"),
+            date: this.extractDate(item),
+          });
           continue;
         }
 
@@ -123,37 +383,75 @@ class EventMap {
     return processedEvents;
   }
 
+  reportExcludedEvents(report) {
+    if (report.length === 0) return;
+
+    // Collapsed so it's there when debugging rules without cluttering the console
+    console.groupCollapsed(
+      `[Event rules] Excluded ${report.length} calendar entries`
+    );
+    console.table(report);
+    console.groupEnd();
+  }
+
+  /**
+   * Stable identifier for permalinks, unchanged when other events are added
+   * or removed. Google's `id` is unique per occurrence of a recurring event;
+   * `iCalUID` is shared by every occurrence, so the start is appended.
+   * @param {Object} item - Raw Google Calendar event
+   * @param {number} fallbackId - Sequential id for items with neither field
+   * @returns {string} URL-safe event id
+   */
+  getEventId(item, fallbackId) {
+    let id = String(fallbackId);
+    if (item.id) {
+      id = item.id;
+    } else if (item.iCalUID) {
+      id = `${item.iCalUID}_${item.start?.dateTime || item.start?.date}`;
+    }
+    return id.replace(/[^A-Za-z0-9_-]/g, "-");
+  }
+
   async transformCalendarItem(item, id) {
     // Clean and sanitise the data
     const title = this.sanitiseText(item.summary || "Unnamed Event");
+    // Organisers can tag events explicitly, e.g. "#tags: sport" or "[category: workshop]"
+    const directives = this.categories.parseDirectives(item.description);
     const description = this.sanitiseHtml(
-      item.description || "No description available"
+      directives.description || "No description available"
     );
     const location = this.sanitiseText(item.location || "Location TBD");
 
-    const categorization = this.categorizeEvent(title, description);
+    const categorization = this.categorizeEvent(title, description, directives);
 
     const event = {
-      id: id,
+      id: this.getEventId(item, id),
       title: title,
       description: description,
       category: categorization.primary,
       categories: categorization.tags,
       date: this.extractDate(item),
+      endDate: this.extractEndDate(item), // Last day, for multi-day events
       time: this.extractTime(item),
       startTime: this.extractStartTime(item),
       endTime: this.extractEndTime(item),
+      // Full start/end for calendar export: ISO date-times, or dates for
+      // all-day events (Google's all-day end date is exclusive)
+      startDateTime: item.start?.dateTime || item.start?.date || null,
+      endDateTime: item.end?.dateTime || item.end?.date || null,
+      isAllDay: !item.start?.dateTime,
+      recurringEventId: item.recurringEventId || null,
       location: location,
       originalEvent: item, // Keep reference for debugging
     };
 
-    // Get coordinates for the location (pass event title as venue name for better geocoding)
-    const coordinates = await this.getCoordinatesForLocation(
-      location,
-      event.title
-    );
+    // Get coordinates for the location
+    const coordinates = await this.getCoordinatesForLocation(location);
     event.lat = coordinates.lat;
     event.lng = coordinates.lng;
+    event.coordinateSource = coordinates.source;
+    event.isApproximateLocation = coordinates.source === "approximate";
+    event.venue = coordinates.venue || null;
 
     return event;
   }
@@ -176,6 +474,18 @@ class EventMap {
       .trim();
   }
 
+  sanitiseHtml(html) {
+    // Use enhanced sanitisation from utils if available
+    if (this.utils && this.utils.sanitiseHtml) {
+      return this.utils.sanitiseHtml(html);
+    }
+
+    // Fallback to stripping tags and collapsing line breaks
+    return this.sanitiseText((html || "").replace(/<br[^>]*>/gi, " "))
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
   async loadGoogleCalendarEvents() {
     // Check if configuration is available
     const config = window.CALENDAR_CONFIG;
@@ -192,87 +502,85 @@ class EventMap {
     }
 
     try {
-      const timeMin = new Date().toISOString();
-      const url = `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(
-        config.CALENDAR_ID
-      )}/events?key=${
-        config.API_KEY
-      }&timeMin=${timeMin}&singleEvents=true&orderBy=startTime&maxResults=${
-        config.MAX_EVENTS || 50
-      }`;
-
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        throw new Error(
-          `Google Calendar API error: ${response.status} ${response.statusText}`
-        );
-      }
-
-      const data = await response.json();
+      const { items, truncated } = await this.fetchAllCalendarItems(config);
 
-      if (!data.items || data.items.length === 0) {
+      if (items.length === 0) {
         console.warn("No events found in Google Calendar");
         this.events = [];
         return;
       }
 
-      // Transform calendar events to our format
-      const transformedEvents = [];
-      for (let i = 0; i < data.items.length; i++) {
-        const calendarEvent = data.items[i];
-
-        // Skip excluded recurring events (Public Announcements)
-        if (this.isExcludedRecurringEvent(calendarEvent.recurringEventId)) {
-          continue;
-        }
-
-        const transformedEvent = await this.transformGoogleCalendarEvent(
-          calendarEvent,
-          i + 1
+      if (truncated) {
+        console.warn(
+          `Google Calendar results truncated at ${items.length} events - increase MAX_EVENTS to see more`
         );
-        transformedEvents.push(transformedEvent);
       }
 
-      this.events = transformedEvents;
+      // Run live results through the same pipeline as the snapshot
+      this.dataInfo = {
+        source: "live",
+        fetchedAt: new Date().toISOString(),
+        itemCount: items.length,
+        truncated: truncated,
+      };
+      this.events = await this.processCalendarItems(items);
     } catch (error) {
       console.error("Failed to load Google Calendar events:", error);
       throw error;
     }
   }
 
-  async transformGoogleCalendarEvent(calendarEvent, index) {
-    // Transform Google Calendar event to our format
-    const categorization = this.categorizeEvent(
-      calendarEvent.summary,
-      calendarEvent.description
-    );
+  async fetchAllCalendarItems(config) {
+    // Follow nextPageToken until the time horizon or MAX_EVENTS is reached,
+    // mirroring fetch-events.js so both paths see the same window
+    const maxEvents = config.MAX_EVENTS || 250;
+    const horizonDays = config.FETCH_HORIZON_DAYS || 90;
+    const lookbackDays = config.FETCH_LOOKBACK_DAYS || 30;
+    const now = new Date();
+    const timeMin = new Date(
+      now.getTime() - lookbackDays * 24 * 60 * 60 * 1000
+    ).toISOString();
+    const timeMax = new Date(
+      now.getTime() + horizonDays * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    const items = [];
+    let pageToken = null;
+
+    do {
+      const params = new URLSearchParams({
+        key: config.API_KEY,
+        timeMin: timeMin,
+        timeMax: timeMax,
+        singleEvents: "true",
+        orderBy: "startTime",
+        maxResults: String(Math.min(maxEvents, 250)),
+      });
+      if (pageToken) {
+        params.set("pageToken", pageToken);
+      }
 
-    // Decode HTML entities in description
-    const decodedDescription = this.decodeHTMLEntities(
-      calendarEvent.description || "No description available"
-    );
+      const response = await fetch(
+        `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(
+          config.CALENDAR_ID
+        )}/events?${params}`
+      );
 
-    const event = {
-      id: index,
-      title: calendarEvent.summary || "Unnamed Event",
-      description: decodedDescription,
-      category: categorization.primary || categorization,
-      categories: categorization.tags || [categorization],
-      date: this.extractDate(calendarEvent),
-      time: this.extractTime(calendarEvent),
-      startTime: this.extractStartTime(calendarEvent),
-      endTime: this.extractEndTime(calendarEvent),
-      location: calendarEvent.location || "Location TBD",
-      originalEvent: calendarEvent, // Keep reference for debugging
-    };
+      if (!response.ok) {
+        throw new Error(
+          `Google Calendar API error: ${response.status} ${response.statusText}`
+        );
+      }
 
-    // Get coordinates for the location
-    const coordinates = await this.getCoordinatesForLocation(event.location);
-    event.lat = coordinates.lat;
-    event.lng = coordinates.lng;
+      const data = await response.json();
+      items.push(...(data.items || []));
+      pageToken = data.nextPageToken || null;
+    } while (pageToken && items.length < maxEvents);
 
-    return event;
+    return {
+      items: items.slice(0, maxEvents),
+      truncated: Boolean(pageToken) || items.length > maxEvents,
+    };
   }
 
   extractDate(calendarEvent) {
@@ -285,6 +593,26 @@ class EventMap {
     return new Date().toISOString().split("T")[0]; // Fallback to today
   }
 
+  extractEndDate(calendarEvent) {
+    const startDate = this.extractDate(calendarEvent);
+    const end = calendarEvent.end?.date
+      ? `${calendarEvent.end.date}T00:00`
+      : calendarEvent.end?.dateTime;
+    if (!end) return startDate;
+
+    // All-day end dates are exclusive, and an event ending at midnight
+    // doesn't take in the next day, so both finish the day before
+    const [date, time] = end.split("T");
+    let endDate = date;
+    if (time.startsWith("00:00")) {
+      const previousDay = new Date(`${date}T00:00:00Z`);
+      previousDay.setUTCDate(previousDay.getUTCDate() - 1);
+      endDate = previousDay.toISOString().split("T")[0];
+    }
+
+    return endDate > startDate ? endDate : startDate;
+  }
+
   extractTime(calendarEvent) {
     // Extract time range for display
     const startTime = this.extractStartTime(calendarEvent);
@@ -332,78 +660,121 @@ class EventMap {
     return textarea.value;
   }
 
-  async getCoordinatesForLocation(location, venueName = null) {
-    const config = window.CALENDAR_CONFIG;
-    // Use Google Geocoding API directly (simplified for debugging)
-    if (
-      config?.ENABLE_GEOCODING &&
-      config?.GEOCODING_API_KEY &&
-      config.GEOCODING_API_KEY !== "your-google-geocoding-api-key-here"
-    ) {
-      try {
-        const googleCoords = await this.geocodeWithGoogle(location, venueName);
-        if (googleCoords) {
-          return googleCoords;
+  createGeocoder() {
+    const geocoding = window.EventMapGeocoding;
+    if (!geocoding) return null;
+
+    const config = window.CALENDAR_CONFIG || {};
+    const hasGoogleKey =
+      config.ENABLE_GEOCODING &&
+      config.GEOCODING_API_KEY &&
+      config.GEOCODING_API_KEY !== "your-google-geocoding-api-key-here";
+
+    const providerFactories = {
+      registry: () =>
+        new geocoding.StaticLookupProvider({
+          name: "registry",
+          lookup: (query) => {
+            const venue = this.lookupVenueRegistry(query);
+            if (!venue) return null;
+            return {
+              lat: venue.lat,
+              lng: venue.lng,
+              formattedAddress: venue.address || venue.name,
+              venue: {
+                name: venue.name,
+                address: venue.address || null,
+                accessibility: venue.accessibility || null,
+              },
+            };
+          },
+        }),
+      venues: () =>
+        new geocoding.StaticLookupProvider({
+          name: "venues",
+          lookup: (query) => this.lookupVenueCache(query),
+        }),
+      google: () =>
+        hasGoogleKey
+          ? new geocoding.GoogleGeocoderProvider({
+              apiKey: config.GEOCODING_API_KEY,
+            })
+          : null,
+      outcodes: () =>
+        window.NorthEastOutcodes
+          ? new geocoding.StaticLookupProvider({
+              name: "outcodes",
+              kinds: ["postcode"],
+              // Only answers partial postcodes - full ones need a network
+              // lookup for street-level accuracy
+              lookup: (query) =>
+                this.isPartialPostcode(query)
+                  ? window.NorthEastOutcodes.lookupOutcodeCentroid(query)
+                  : null,
+            })
+          : null,
+      "postcodes.io": () => new geocoding.PostcodesIoGeocoderProvider(),
+      nominatim: () => new geocoding.NominatimGeocoderProvider(),
+      mock: () =>
+        new geocoding.MockGeocoderProvider({
+          results: config.GEOCODER_MOCK_RESULTS || {},
+        }),
+    };
+
+    const order = config.GEOCODER_PROVIDERS || [
+      "registry",
+      "venues",
+      "outcodes",
+      "google",
+      "postcodes.io",
+      "nominatim",
+    ];
+
+    const providers = order
+      .map((name) => {
+        if (!providerFactories[name]) {
+          console.warn(`[Geocoding] Unknown provider "${name}" ignored`);
+          return null;
         }
+        return providerFactories[name]();
+      })
+      .filter(Boolean);
+
+    return new geocoding.Geocoder({
+      providers: providers,
+      cache: this.geocodeCache,
+    });
+  }
+
+  async getCoordinatesForLocation(location) {
+    if (this.geocoder && location !== "Location TBD") {
+      try {
+        const result = await this.geocoder.geocode(location, {
+          kind: "address",
+        });
+        return {
+          lat: result.lat,
+          lng: result.lng,
+          source: result.provider,
+          venue: result.venue || null,
+        };
       } catch (error) {
-        console.error(`[Geocoding] FAILED for "${location}":`, error);
+        console.warn(`[Geocoding] FAILED for "${location}":`, error.message);
       }
-    } else {
-      console.warn(
-        `[Geocoding] Skipped - geocoding disabled or API key missing`
-      );
     }
 
     // Fallback: Generate unique coordinates using hash-based offset
     console.warn(
       `[Geocoding] Using fallback hash coordinates for "${location}"`
     );
-    const fallbackCoords = config?.DEFAULT_REGION || {
+    const fallbackCoords = window.CALENDAR_CONFIG?.DEFAULT_REGION || {
       lat: 54.9783,
       lng: -1.6178,
     };
-    return this.generateUniqueCoordinates(location, fallbackCoords);
-  }
-
-  // Geocode address using Google Geocoding API
-  async geocodeWithGoogle(address, venueName = null) {
-    const config = window.CALENDAR_CONFIG;
-
-    // Use the full address as-is (Google Calendar locations are usually complete)
-    const searchQuery = address;
-
-    const response = await fetch(
-      `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(
-        searchQuery
-      )}&key=${config.GEOCODING_API_KEY}`
-    );
-
-    if (!response.ok) {
-      throw new Error(`Google Geocoding API HTTP error: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    if (data.status === "OK" && data.results && data.results.length > 0) {
-      const location = data.results[0].geometry.location;
-      const formattedAddress = data.results[0].formatted_address;
-
-      return { lat: location.lat, lng: location.lng };
-    } else if (data.status === "REQUEST_DENIED") {
-      console.error(
-        `[Google Geocoding] REQUEST_DENIED - Check API key permissions. Error: ${data.error_message}`
-      );
-      throw new Error(`API key issue: ${data.error_message}`);
-    } else if (data.status === "OVER_QUERY_LIMIT") {
-      console.error(`[Google Geocoding] OVER_QUERY_LIMIT - Too many requests`);
-      throw new Error("Over query limit");
-    } else if (data.status === "ZERO_RESULTS") {
-      console.warn(`[Google Geocoding] No results for: "${searchQuery}"`);
-      throw new Error("No results found");
-    } else {
-      console.error(`[Google Geocoding] Unexpected status: ${data.status}`);
-      throw new Error(`Google API error: ${data.status}`);
-    }
+    return {
+      ...this.generateUniqueCoordinates(location, fallbackCoords),
+      source: "approximate",
+    };
   }
 
   generateUniqueCoordinates(location, baseCoords) {
@@ -426,135 +797,9 @@ class EventMap {
     };
   }
 
-  async geocodeLocation(address, venueName = null) {
-    const config = window.CALENDAR_CONFIG;
-    try {
-      // Combine venue name and location for better accuracy
-      let searchQuery = address;
-      if (venueName) {
-        searchQuery = `${venueName}, ${address}`;
-      }
-
-      const query = encodeURIComponent(searchQuery);
-
-      // Use Google Maps Geocoding API
-      const response = await fetch(
-        `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(
-          address + ", Northeast England, UK"
-        )}&key=${config.GEOCODING_API_KEY}`
-      );
-
-      if (!response.ok) {
-        throw new Error(`Geocoding API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      if (data.results && data.results.length > 0) {
-        const location = data.results[0].geometry.location;
-        return { lat: location.lat, lng: location.lng };
-      } else {
-        throw new Error("No geocoding results found");
-      }
-    } catch (error) {
-      console.error("Geocoding failed:", error);
-      throw error;
-    }
-  }
-
-  categorizeEvent(title, description) {
-    const titleLower = (title || "").toLowerCase();
-    const descLower = (description || "").toLowerCase();
-    const combined = titleLower + " " + descLower;
-
-    const tags = [];
-
-    // Drop-in patterns
-    if (
-      descLower.includes("drop in") ||
-      descLower.includes("drop-in") ||
-      combined.includes("drop in") ||
-      combined.includes("drop-in")
-    ) {
-      tags.push("drop-in");
-    }
-
-    // Support patterns
-    if (
-      combined.includes("support") ||
-      combined.includes("counselling") ||
-      combined.includes("therapy") ||
-      combined.includes("help") ||
-      combined.includes("advice") ||
-      combined.includes("welfare")
-    ) {
-      tags.push("support");
-    }
-
-    // Breakfast Club patterns (more specific to avoid false positives)
-    if (
-      combined.includes("breakfast club") ||
-      (combined.includes("breakfast") && !combined.includes("clay pigeon")) ||
-      (combined.includes("naafi break") && !descLower.includes("drop in"))
-    ) {
-      tags.push("breakfast-club");
-    }
-
-    // Meeting patterns
-    if (
-      combined.includes("meeting") ||
-      combined.includes("branch meeting") ||
-      combined.includes("association") ||
-      combined.includes("rbl") ||
-      combined.includes("royal british legion") ||
-      combined.includes("dli")
-    ) {
-      tags.push("meeting");
-    }
-
-    // Workshop patterns
-    if (
-      combined.includes("workshop") ||
-      combined.includes("training") ||
-      combined.includes("course") ||
-      combined.includes("seminar")
-    ) {
-      tags.push("workshop");
-    }
-
-    // Social patterns
-    if (
-      combined.includes("social") ||
-      combined.includes("mixer") ||
-      combined.includes("party") ||
-      combined.includes("celebration")
-    ) {
-      tags.push("social");
-    }
-
-    // Sport & Recreation patterns (highest priority for sport activities)
-    if (
-      combined.includes("clay pigeon") ||
-      combined.includes("shooting") ||
-      titleLower.includes("sport") ||
-      combined.includes("football") ||
-      combined.includes("rugby") ||
-      combined.includes("sailing") ||
-      combined.includes("fishing") ||
-      combined.includes("golf") ||
-      combined.includes("cycling") ||
-      combined.includes("walking") ||
-      combined.includes("hiking") ||
-      combined.includes("swimming") ||
-      combined.includes("offshore sailing")
-    ) {
-      tags.push("sport");
-    }
-
-    // Return array of tags and primary category
-    return {
-      tags: tags,
-      primary: tags.length > 0 ? tags[0] : "other",
-    };
+  categorizeEvent(title, description, directives) {
+    // Keyword rules live in js/categories.js (and CALENDAR_CONFIG.CATEGORY_TAXONOMY)
+    return this.categories.categorize(title, description, directives);
   }
 
   showRealDataNotification() {
@@ -590,86 +835,279 @@ class EventMap {
     // Add OpenStreetMap tiles (free, no API key required)
     L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
       attribution: "© OpenStreetMap contributors",
+      crossOrigin: true, // Lets the printable sheet copy tiles into its map
     }).addTo(this.map);
 
+    // Nearby markers merge into a count badge until zoomed in far enough
+    // to tell them apart, so every event can be shown without clutter
+    this.markerCluster = L.markerClusterGroup({
+      iconCreateFunction: (cluster) => this.createClusterIcon(cluster),
+      showCoverageOnHover: false,
+      maxClusterRadius: 50,
+      chunkedLoading: true,
+    });
+    this.map.addLayer(this.markerCluster);
+
+    this.addLegend();
     this.addMarkers();
   }
 
-  addMarkers() {
-    // Clear existing markers
-    this.markers.forEach((marker) => this.map.removeLayer(marker));
-    this.markers = [];
+  addLegend() {
+    this.legendControl = L.control({ position: "bottomright" });
 
-    // Limit markers for performance (prioritize closer events if sorted by distance)
-    const eventsToShow = this.filteredEvents.slice(0, this.maxMarkersOnMap);
+    this.legendControl.onAdd = () => {
+      const container = L.DomUtil.create(
+        "div",
+        "map-legend bg-white rounded-md shadow-md p-2 text-xs"
+      );
+      // Keep legend clicks and scrolling from moving the map
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      container.addEventListener("click", (e) => {
+        const toggle = e.target.closest("[data-legend-category]");
+        if (toggle) {
+          this.toggleCategory(toggle.dataset.legendCategory);
+        }
+      });
 
-    // Group events by exact location string AND date for more precise grouping
-    const eventsByLocationAndDate = new Map();
+      return container;
+    };
 
-    eventsToShow.forEach((event) => {
-      // Use location string + date for grouping to ensure only same venue events are grouped
-      const locationDateKey = `${event.location}|${event.date}`;
-      if (!eventsByLocationAndDate.has(locationDateKey)) {
-        eventsByLocationAndDate.set(locationDateKey, []);
-      }
-      eventsByLocationAndDate.get(locationDateKey).push(event);
-    });
+    this.legendControl.addTo(this.map);
+    this.updateLegend();
+  }
 
-    // Create markers for each unique location-date combination
-    eventsByLocationAndDate.forEach((eventsAtLocationDate, locationDateKey) => {
-      const [location, date] = locationDateKey.split("|");
-      // Use the coordinates from the first event in the group
-      const firstEvent = eventsAtLocationDate[0];
-      const lat = firstEvent.lat;
-      const lng = firstEvent.lng;
-
-      if (eventsAtLocationDate.length === 1) {
-        // Single event at this location on this date
-        const event = eventsAtLocationDate[0];
-        const marker = L.marker([lat, lng])
-          .addTo(this.map)
-          .bindPopup(this.createPopupContent(event));
-
-        // Store marker reference on the event for mobile focus functionality
-        event._marker = marker;
-        event._originalIcon = marker.getIcon();
+  updateLegend() {
+    const container = this.legendControl?.getContainer();
+    if (!container) return;
 
-        marker.on("click", () => {
-          this.highlightEvent(event.id);
-        });
+    // Only list categories that some event actually has
+    const categoryIds = this.categories.sortIds(
+      Array.from(new Set(this.events.map((event) => event.category)))
+    );
 
-        this.markers.push(marker);
-      } else {
-        // Multiple events at this exact location on the same date
-        // Sort events by time (earliest first)
-        const sortedEvents = eventsAtLocationDate.sort((a, b) => {
-          const timeA = a.startTime || a.time || "00:00";
-          const timeB = b.startTime || b.time || "00:00";
-          return timeA.localeCompare(timeB);
-        });
+    container.innerHTML = categoryIds
+      .map((id) => {
+        const category = this.categories.get(id);
+        const isHidden = this.hiddenCategories.has(id);
+        return `
+          <button type="button" data-legend-category="${id}" aria-pressed="${!isHidden}"
+                  title="${isHidden ? "Show" : "Hide"} ${category.label} events"
+                  class="flex items-center gap-2 w-full text-left px-1 py-0.5 rounded hover:bg-gray-100 ${
+                    isHidden ? "opacity-50 line-through" : ""
+                  }">
+            <span class="legend-swatch" style="background: ${category.hex}">${category.icon}</span>
+            <span>${category.label}</span>
+          </button>
+        `;
+      })
+      .join("");
+  }
 
-        const marker = L.marker([lat, lng])
-          .addTo(this.map)
-          .bindPopup(this.createMultiEventPopupContent(sortedEvents, date));
+  async toggleCategory(categoryId) {
+    if (this.hiddenCategories.has(categoryId)) {
+      this.hiddenCategories.delete(categoryId);
+    } else {
+      this.hiddenCategories.add(categoryId);
+    }
 
-        // Store marker reference on the first event for mobile focus functionality
-        sortedEvents[0]._marker = marker;
-        sortedEvents[0]._originalIcon = marker.getIcon();
+    this.updateLegend();
+    await this.filterEvents();
+  }
 
-        // When marker is clicked, highlight the first (earliest) event
-        marker.on("click", () => {
-          this.highlightEvent(sortedEvents[0].id);
-        });
+  createClusterIcon(cluster) {
+    // Count events (not markers) per category to find the dominant one
+    const categoryCounts = new Map();
+    let eventCount = 0;
+
+    cluster.getAllChildMarkers().forEach((marker) => {
+      (marker.events || []).forEach((event) => {
+        eventCount++;
+        categoryCounts.set(
+          event.category,
+          (categoryCounts.get(event.category) || 0) + 1
+        );
+      });
+    });
 
-        this.markers.push(marker);
+    let dominant = "other";
+    let dominantCount = 0;
+    this.categories.sortIds(Array.from(categoryCounts.keys())).forEach((id) => {
+      if (categoryCounts.get(id) > dominantCount) {
+        dominant = id;
+        dominantCount = categoryCounts.get(id);
       }
     });
 
-    // Fit map to show all markers if there are any
-    if (this.markers.length > 0) {
-      const group = new L.featureGroup(this.markers);
-      this.map.fitBounds(group.getBounds().pad(0.1));
+    const category = this.categories.get(dominant);
+    const size = eventCount < 10 ? 34 : eventCount < 50 ? 40 : 48;
+
+    return L.divIcon({
+      html: `<div class="event-cluster" style="background-color: ${category.hex}">${eventCount}</div>`,
+      className: "event-cluster-icon",
+      iconSize: L.point(size, size),
+    });
+  }
+
+  addMarkers() {
+    // Clear existing markers
+    this.markerCluster.clearLayers();
+    this.markers = [];
+
+    // One marker per venue, covering every date it hosts events on, so
+    // weekly sessions don't stack up as identical pins. Grouped by position
+    // (to about a metre) rather than name, so different spellings of a venue
+    // that geocode to the same place share a marker too
+    const eventsByVenue = new Map();
+
+    this.filteredEvents.forEach((event) => {
+      const venueKey = `${event.lat.toFixed(5)},${event.lng.toFixed(5)}`;
+      if (!eventsByVenue.has(venueKey)) {
+        eventsByVenue.set(venueKey, []);
+      }
+      eventsByVenue.get(venueKey).push(event);
+    });
+
+    eventsByVenue.forEach((eventsAtVenue) => {
+      // Earliest session first
+      const sortedEvents = eventsAtVenue.sort((a, b) => {
+        const dateCompare = a.date.localeCompare(b.date);
+        if (dateCompare !== 0) return dateCompare;
+        const timeA = a.startTime || a.time || "00:00";
+        const timeB = b.startTime || b.time || "00:00";
+        return timeA.localeCompare(timeB);
+      });
+      // Use the coordinates from the first event in the group
+      const firstEvent = sortedEvents[0];
+
+      const marker = L.marker(
+        [firstEvent.lat, firstEvent.lng],
+        this.getMarkerOptions(sortedEvents)
+      ).bindPopup(
+        sortedEvents.length === 1
+          ? this.createPopupContent(firstEvent)
+          : this.createMultiEventPopupContent(sortedEvents)
+      );
+      marker.events = sortedEvents;
+
+      // Store marker reference on each event for mobile focus functionality
+      sortedEvents.forEach((event) => {
+        event._marker = marker;
+        event._originalIcon = marker.getIcon();
+      });
+
+      // When marker is clicked, highlight the next session
+      marker.on("click", () => {
+        this.highlightEvent(firstEvent.id);
+      });
+
+      this.markers.push(marker);
+    });
+
+    this.markerCluster.addLayers(this.markers);
+
+    // Fit map to show all markers and the search area, if there is one
+    const bounds =
+      this.markers.length > 0 ? this.markerCluster.getBounds().pad(0.1) : null;
+    if (this.searchCircle) {
+      this.map.fitBounds(
+        bounds
+          ? bounds.extend(this.searchCircle.getBounds())
+          : this.searchCircle.getBounds()
+      );
+    } else if (bounds) {
+      this.map.fitBounds(bounds);
+    }
+  }
+
+  openMarkerPopup(marker) {
+    // Zoom in until the marker leaves its cluster before opening the popup
+    this.markerCluster.zoomToShowLayer(marker, () => marker.openPopup());
+  }
+
+  getMarkerOptions(events) {
+    const options = { icon: this.createMarkerIcon(events) };
+
+    if (events.some((event) => event.isApproximateLocation)) {
+      options.title = "Approximate location";
+    } else if (events.every((event) => event.isElapsed)) {
+      options.title = "Finished earlier today";
     }
+
+    return options;
+  }
+
+  createMarkerIcon(events) {
+    // One colour per category at this marker, in taxonomy order
+    const categoryIds = this.categories.sortIds(
+      Array.from(new Set(events.map((event) => event.category)))
+    );
+    const colours = categoryIds.map((id) => this.categories.get(id).hex);
+
+    // Several categories share the pin as equal slices
+    const slice = 360 / colours.length;
+    const background =
+      colours.length === 1
+        ? colours[0]
+        : `conic-gradient(${colours
+            .map(
+              (colour, i) => `${colour} ${i * slice}deg ${(i + 1) * slice}deg`
+            )
+            .join(", ")})`;
+
+    const classes = ["event-pin"];
+    // Grey out pins whose events are all over, and outline guessed positions
+    if (events.every((event) => event.isElapsed)) {
+      classes.push("event-pin--elapsed");
+    }
+    if (events.some((event) => event.isApproximateLocation)) {
+      classes.push("event-pin--approximate");
+    }
+
+    return L.divIcon({
+      html: `<div class="${classes.join(" ")}" style="background: ${background}"><span>${
+        this.categories.get(categoryIds[0]).icon
+      }</span></div>`,
+      className: "event-pin-icon",
+      iconSize: [30, 30],
+      // The pin is a 30px square turned 45°, so its tip is half a diagonal
+      // (about 21px) below the centre, and its rounded top is at the top edge
+      iconAnchor: [15, 36],
+      popupAnchor: [0, -36],
+    });
+  }
+
+  createLocationNotesContent(event) {
+    // Venue details from the registry, plus a warning for guessed positions
+    let notes = "";
+
+    if (event.venue?.name) {
+      notes += `
+                <p style="margin: 2px 0; font-size: 12px; color: #6b7280;">
+                    <strong>🏠</strong> ${this.escapeHtml(event.venue.name)}${
+        event.venue.address ? `, ${this.escapeHtml(event.venue.address)}` : ""
+      }
+                </p>`;
+    }
+
+    if (event.venue?.accessibility) {
+      notes += `
+                <p style="margin: 2px 0; font-size: 12px; color: #6b7280;">
+                    <strong>♿</strong> ${this.escapeHtml(
+                      event.venue.accessibility
+                    )}
+                </p>`;
+    }
+
+    if (event.isApproximateLocation) {
+      notes += `
+                <p style="margin: 2px 0; font-size: 12px; color: #b45309;">
+                    <strong>⚠️</strong> Approximate map position - check the venue address
+                </p>`;
+    }
+
+    return notes;
   }
 
   createPopupContent(event) {
@@ -693,7 +1131,7 @@ class EventMap {
                 </p>
                 <p style="margin: 2px 0; font-size: 12px; color: #6b7280;">
                     <strong>📍</strong> ${event.location}
-                </p>
+                </p>${this.createLocationNotesContent(event)}
                 <p style="margin: 5px 0; font-size: 12px; color: #6b7280;">
                     <span class="inline-block px-2 py-1 rounded text-xs text-white ${this.getCategoryColorClass(
                       event.category
@@ -702,35 +1140,404 @@ class EventMap {
                 <p style="margin: 5px 0; font-size: 12px; color: #4b5563;">${
                   event.description
                 }</p>
+                ${this.createEventActions(event, "mt-2")}
             </div>
         `;
   }
 
-  createMultiEventPopupContent(events, date) {
-    const location = events[0].location; // All events share the same location
+  createEventActions(event, className) {
+    // stopPropagation keeps list items from also focusing the event
+    const entry = this.getCalendarEntry(event);
+    const linkClass = "text-xs text-blue-600 hover:underline";
+
+    return `<div class="flex flex-wrap gap-x-3 gap-y-1 ${className}">
+                <button type="button" class="${linkClass}" title="Download an .ics file for your calendar app"
+                        onclick="event.stopPropagation(); eventMap.downloadEventIcs('${
+                          event.id
+                        }')">📅 Add to calendar</button>
+                <a href="${this.escapeAttribute(
+                  window.CalendarExport.buildGoogleCalendarUrl(entry)
+                )}"
+                   target="_blank" rel="noopener" class="${linkClass}"
+                   onclick="event.stopPropagation()">Google</a>
+                <a href="${this.escapeAttribute(
+                  window.CalendarExport.buildOutlookUrl(entry)
+                )}"
+                   target="_blank" rel="noopener" class="${linkClass}"
+                   onclick="event.stopPropagation()">Outlook</a>
+                <button type="button" class="${linkClass}" title="Copy a link to this event"
+                        onclick="event.stopPropagation(); eventMap.copyEventLink('${
+                          event.id
+                        }')">🔗 Copy link</button>
+            </div>`;
+  }
+
+  escapeAttribute(value) {
+    return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+  }
+
+  escapeHtml(value) {
+    return window.EventMapUtils.escapeHtml(value);
+  }
+
+  /**
+   * Describe an event for calendar export (see js/calendar-export.js)
+   * @param {Object} event - Event from this.events
+   * @param {Object} [options]
+   * @param {boolean} [options.asSeries] - Export recurring sessions as a
+   *   series from this occurrence on, rather than as a single occurrence
+   * @returns {Object} Calendar entry
+   */
+  getCalendarEntry(event, { asSeries = true } = {}) {
+    const entry = {
+      uid: `${event.id}@vfvic-veterans-diary`,
+      title: event.title,
+      description: `${event.description}\n\n${this.getEventPermalink(
+        event.id
+      )}`,
+      location: event.location,
+      url: this.getEventPermalink(event.id),
+      allDay: event.isAllDay || !event.startDateTime,
+      start: event.startDateTime || event.date,
+      end: event.endDateTime,
+      rrule: null,
+    };
+
+    // Recurring sessions are exported as a series starting from this one
+    if (asSeries && event.recurringEventId) {
+      entry.rrule = this.getRecurrenceRule(event);
+    }
+
+    // Only a series shares its UID between sessions. A session exported on
+    // its own keeps its own, so calendars don't replace one with another.
+    if (entry.rrule) {
+      entry.uid = `${event.recurringEventId}@vfvic-veterans-diary`;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Repeat rule for a recurring session and the ones after it. Every list
+   * item and popup asks for this, so each rule is only worked out once per
+   * load.
+   * @param {Object} event - Event with a recurringEventId
+   * @returns {string|null} RRULE value, or null if there's no clear pattern
+   */
+  getRecurrenceRule(event) {
+    const key = `${event.recurringEventId}|${event.startDateTime}`;
+    if (this.recurrenceRules.has(key)) return this.recurrenceRules.get(key);
+
+    // Start times of each series, earliest first
+    if (this.seriesStarts.size === 0) {
+      this.events.forEach((e) => {
+        if (!e.recurringEventId) return;
+        if (!this.seriesStarts.has(e.recurringEventId)) {
+          this.seriesStarts.set(e.recurringEventId, []);
+        }
+        this.seriesStarts.get(e.recurringEventId).push(e.startDateTime);
+      });
+      this.seriesStarts.forEach((starts) => starts.sort());
+    }
+
+    const starts = this.seriesStarts.get(event.recurringEventId) || [];
+    const rule = window.CalendarExport.inferRecurrenceRule(
+      starts.filter((start) => start >= event.startDateTime)
+    );
+    this.recurrenceRules.set(key, rule);
+    return rule;
+  }
+
+  downloadEventIcs(eventId) {
+    const event = this.events.find((e) => e.id === eventId);
+    if (!event) return;
+
+    const slug = event.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+
+    window.CalendarExport.downloadIcs(
+      `${slug || "event"}-${event.date}.ics`,
+      window.CalendarExport.buildIcs([this.getCalendarEntry(event)])
+    );
+  }
+
+  /**
+   * Rows describing the filtered events for CSV and print export (see
+   * js/list-export.js)
+   * @returns {Array<Object>} Export rows, in list order
+   */
+  getExportRows() {
+    return this.filteredEvents.map((event) => ({
+      title: event.title,
+      date: event.date,
+      time: event.time,
+      startTime: event.startTime,
+      venue: event.venue?.name || "",
+      address: event.location,
+      categories: (event.categories?.length
+        ? event.categories
+        : [event.category]
+      ).map((id) => this.formatCategoryName(id)),
+      distance: this.searchCoords
+        ? this.calculateDistance(
+            this.searchCoords.lat,
+            this.searchCoords.lng,
+            event.lat,
+            event.lng
+          )
+        : null,
+      link: this.getEventPermalink(event.id),
+    }));
+  }
+
+  /**
+   * Plain-English summary of the active filters, for export headings
+   * @returns {Array<string>} One description per active filter
+   */
+  describeActiveFilters() {
+    const state = this.getUrlState();
+    const ranges = {
+      today: "Today",
+      week: "This week",
+      weekend: "This weekend",
+      "next-week": "Next week",
+      month: "This month",
+    };
+    const filters = [];
+
+    if (this.searchCoords?.isUserLocation) {
+      filters.push(`Within ${this.searchRadius} km of your location`);
+    }
+    if (state.q) {
+      filters.push(
+        this.searchCoords && !this.searchCoords.isUserLocation
+          ? `Within ${this.searchRadius} km of ${
+              this.searchCoords.placeName || state.q.toUpperCase()
+            }`
+          : `Search: "${state.q}"`
+      );
+    }
+    if (state.categories.length > 0) {
+      filters.push(
+        state.categories
+          .map((id) => this.formatCategoryName(id))
+          .join(state.match === "all" ? " and " : " or ")
+      );
+    }
+    if (state.days.length > 0) {
+      filters.push(
+        window.EventFilters.DAYS_OF_WEEK.filter((day) =>
+          state.days.includes(day.id)
+        )
+          .map((day) => `${day.name}s`)
+          .join(", ")
+      );
+    }
+    if (state.times.length > 0) {
+      filters.push(
+        window.EventFilters.TIMES_OF_DAY.filter((time) =>
+          state.times.includes(time.id)
+        )
+          .map((time) => time.label)
+          .join(", ")
+      );
+    }
+    const { from, to } = this.getDateRange();
+    if (this.currentDateFilter === "custom" && from && to) {
+      filters.push(
+        from === to
+          ? this.formatDate(from)
+          : `${this.formatDate(from)} to ${this.formatDate(to)}`
+      );
+    } else if (this.currentDateFilter === "custom") {
+      filters.push(
+        from ? `From ${this.formatDate(from)}` : `Until ${this.formatDate(to)}`
+      );
+    }
+    if (ranges[state.range]) filters.push(ranges[state.range]);
+    if (state.hidden.length > 0) {
+      filters.push(
+        `Hiding ${state.hidden
+          .map((id) => this.formatCategoryName(id))
+          .join(", ")}`
+      );
+    }
+
+    return filters;
+  }
+
+  getExportFilename(extension) {
+    const today = new Date().toISOString().split("T")[0];
+    return `veterans-events-${today}.${extension}`;
+  }
+
+  /**
+   * Export the filtered events in the given format
+   * @param {string} format - 'ics', 'csv' or 'print'
+   */
+  exportFilteredEvents(format) {
+    if (this.filteredEvents.length === 0) {
+      this.utils?.showToast("No events match the current filters", "info");
+      return;
+    }
+
+    if (format === "ics") {
+      // Each listed occurrence is exported on its own, so the file matches
+      // the filtered list exactly
+      window.CalendarExport.downloadIcs(
+        this.getExportFilename("ics"),
+        window.CalendarExport.buildIcs(
+          this.filteredEvents.map((event) =>
+            this.getCalendarEntry(event, { asSeries: false })
+          )
+        )
+      );
+    } else if (format === "csv") {
+      this.utils.downloadFile(
+        this.getExportFilename("csv"),
+        window.ListExport.buildCsv(this.getExportRows()),
+        "text/csv;charset=utf-8"
+      );
+    } else if (format === "print") {
+      this.printFilteredEvents();
+    }
+  }
+
+  printFilteredEvents() {
+    const html = window.ListExport.buildPrintSheet({
+      title: "Veterans Events",
+      filters: this.describeActiveFilters(),
+      mapImage: this.createMapSnapshot(),
+      rows: this.getExportRows(),
+    });
+
+    const printWindow = window.open("", "_blank");
+    if (!printWindow) {
+      this.utils?.showToast(
+        "Please allow pop-ups to open the printable sheet",
+        "error"
+      );
+      return;
+    }
+
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+  }
+
+  /**
+   * Draw the current map view - tiles plus a dot for each filtered event -
+   * onto a canvas
+   * @returns {string|null} PNG data URL, or null if the tiles couldn't be
+   *   copied (e.g. the tile server didn't allow cross-origin use)
+   */
+  createMapSnapshot() {
+    const container = this.map.getContainer();
+    const size = this.map.getSize();
+    const canvas = document.createElement("canvas");
+    canvas.width = size.x;
+    canvas.height = size.y;
+
+    const context = canvas.getContext("2d");
+    if (!context) return null;
+
+    context.fillStyle = "#e5e7eb";
+    context.fillRect(0, 0, size.x, size.y);
+
+    // Tiles are drawn where they currently sit on screen, lower zoom levels
+    // (still shown while others load) first
+    const containerRect = container.getBoundingClientRect();
+    Array.from(container.querySelectorAll(".leaflet-tile-container"))
+      .sort(
+        (a, b) => (Number(a.style.zIndex) || 0) - (Number(b.style.zIndex) || 0)
+      )
+      .forEach((level) => {
+        level.querySelectorAll("img.leaflet-tile-loaded").forEach((tile) => {
+          const rect = tile.getBoundingClientRect();
+          context.drawImage(
+            tile,
+            rect.left - containerRect.left,
+            rect.top - containerRect.top,
+            rect.width,
+            rect.height
+          );
+        });
+      });
+
+    const drawn = new Set();
+    this.filteredEvents.forEach((event) => {
+      const key = `${event.lat},${event.lng}`;
+      if (drawn.has(key)) return;
+      drawn.add(key);
+
+      const point = this.map.latLngToContainerPoint([event.lat, event.lng]);
+      if (point.x < 0 || point.y < 0 || point.x > size.x || point.y > size.y) {
+        return;
+      }
+
+      context.beginPath();
+      context.arc(point.x, point.y, 7, 0, Math.PI * 2);
+      context.fillStyle = this.categories.get(event.category).hex;
+      context.fill();
+      context.lineWidth = 2;
+      context.strokeStyle = "#ffffff";
+      context.stroke();
+    });
+
+    // Tile licence attribution
+    context.font = "11px Arial, sans-serif";
+    const attribution = "© OpenStreetMap contributors";
+    const textWidth = context.measureText(attribution).width;
+    context.fillStyle = "rgba(255, 255, 255, 0.8)";
+    context.fillRect(size.x - textWidth - 8, size.y - 16, textWidth + 8, 16);
+    context.fillStyle = "#374151";
+    context.fillText(attribution, size.x - textWidth - 4, size.y - 4);
+
+    try {
+      return canvas.toDataURL("image/png");
+    } catch (error) {
+      console.warn("Could not create map snapshot:", error);
+      return null;
+    }
+  }
+
+  createMultiEventPopupContent(events) {
+    const location = events[0].location; // All events share the same venue
     const eventCount = events.length;
 
-    // Events are already sorted by time in addMarkers method
-    const eventsHtml = events
-      .map((event, index) => {
-        const elapsedLabel = event.isElapsed
-          ? '<span style="background: #6b7280; color: white; padding: 1px 4px; border-radius: 8px; font-size: 9px; margin-left: 5px;">Ended</span>'
-          : "";
-        const titleStyle = event.isElapsed
-          ? "color: #6b7280; opacity: 0.8;"
-          : "color: #1f2937;";
+    // Events are already sorted by date and time in addMarkers method
+    const eventsByDate = new Map();
+    events.forEach((event) => {
+      if (!eventsByDate.has(event.date)) {
+        eventsByDate.set(event.date, []);
+      }
+      eventsByDate.get(event.date).push(event);
+    });
 
-        return `
+    const daysHtml = Array.from(eventsByDate.entries())
+      .map(([date, eventsOnDate]) => {
+        const eventsHtml = eventsOnDate
+          .map((event, index) => {
+            const elapsedLabel = event.isElapsed
+              ? '<span style="background: #6b7280; color: white; padding: 1px 4px; border-radius: 8px; font-size: 9px; margin-left: 5px;">Ended</span>'
+              : "";
+            const titleStyle = event.isElapsed
+              ? "color: #6b7280; opacity: 0.8;"
+              : "color: #1f2937;";
+
+            return `
                 <div class="border-b border-gray-200 pb-2 mb-2 ${
-                  index === events.length - 1 ? "border-b-0 pb-0 mb-0" : ""
+                  index === eventsOnDate.length - 1 ? "border-b-0 pb-0 mb-0" : ""
                 }"
                      style="cursor: pointer;"
-                     onclick="eventMap.highlightEvent(${
+                     onclick="eventMap.highlightEvent('${
                        event.id
-                     }); eventMap.map.closePopup();">
+                     }'); eventMap.map.closePopup();">
                     <h5 style="margin: 0 0 5px 0; ${titleStyle} font-weight: bold;">${
-          event.title
-        }${elapsedLabel}</h5>
+              event.title
+            }${elapsedLabel}</h5>
                     <p style="margin: 2px 0; font-size: 12px; color: #6b7280;">
                         <strong>⏰</strong> ${event.time || "Time TBD"}
                     </p>
@@ -743,22 +1550,37 @@ class EventMap {
                       0,
                       80
                     )}${event.description.length > 80 ? "..." : ""}</p>
+                    ${this.createEventActions(event, "mt-1")}
+                </div>
+            `;
+          })
+          .join("");
+
+        return `
+                <div style="margin-bottom: 10px;">
+                    <p style="margin: 0 0 5px 0; font-size: 12px; font-weight: bold; color: #374151; border-bottom: 1px solid #e5e7eb; padding-bottom: 2px;">
+                        <strong>📅</strong> ${this.formatDate(date)}
+                    </p>
+                    ${eventsHtml}
                 </div>
             `;
       })
       .join("");
 
+    const dayCount = eventsByDate.size;
+
     return `
             <div style="max-width: 300px;">
-                <h4 style="margin: 0 0 10px 0; color: #1f2937;">📍 ${location}</h4>
-                <p style="margin: 0 0 5px 0; font-size: 12px; color: #6b7280;">
-                    <strong>📅</strong> ${this.formatDate(date)}
-                </p>
+                <h4 style="margin: 0 0 10px 0; color: #1f2937;">📍 ${location}</h4>${this.createLocationNotesContent(
+                  events[0]
+                )}
                 <p style="margin: 0 0 10px 0; font-weight: bold; color: #059669;">
-                    ${eventCount} event${eventCount > 1 ? "s" : ""} on this day
+                    ${eventCount} event${eventCount > 1 ? "s" : ""} ${
+      dayCount > 1 ? `across ${dayCount} days` : "on this day"
+    }
                 </p>
                 <div style="max-height: 250px; overflow-y: auto;">
-                    ${eventsHtml}
+                    ${daysHtml}
                 </div>
                 <p style="margin: 10px 0 0 0; font-size: 11px; color: #9ca3af; font-style: italic;">
                     Click on an event above to highlight it in the list
@@ -770,46 +1592,48 @@ class EventMap {
   displayEvents() {
     const eventItems = document.getElementById("eventItems");
 
+    this.listEntries = this.getListEntries();
+    this.currentPage = 0;
+    this.updateDisplayedEvents();
+
     if (this.filteredEvents.length === 0) {
-      const searchQuery = document.getElementById("searchInput").value.trim();
-      const isPostcodeSearch = this.isPostcode(searchQuery);
       let noResultsMessage = "No events found matching your criteria.";
 
-      if (isPostcodeSearch) {
+      if (this.searchCoords?.isUserLocation) {
+        noResultsMessage =
+          "No events found within search radius. Try a larger radius.";
+      } else if (this.searchCoords) {
         noResultsMessage =
           "No events found within search radius. Try a larger area or different postcode.";
       }
 
       if (eventItems) {
-        eventItems.innerHTML = `<div class="text-center py-5 text-gray-500">${noResultsMessage}</div>`;
+        eventItems.innerHTML = `<div class="text-center py-5 text-gray-500">${noResultsMessage}${this.createPlaceSuggestions(
+          this.placeSuggestions
+        )}</div>`;
       }
 
-      // Update mobile event count
-      this.updateMobileEventCount();
+      this.updateEventCounters();
       return;
     }
 
-    // Check if any events have distance info (location-based search active)
-    const hasDistanceInfo = this.filteredEvents.some(
-      (event) => event._searchDistance !== undefined
-    );
-    const isPartialPostcodeSearch = this.filteredEvents.some(
-      (event) => event._isPartialPostcode
-    );
-
     // Add header info for location-based searches
     let searchInfoHeader = "";
-    if (hasDistanceInfo) {
+    if (this.searchCoords) {
       const searchQuery = document.getElementById("searchInput").value.trim();
       let searchType = "postcode";
-
-      if (isPartialPostcodeSearch) {
+      let origin = `"${searchQuery}"`;
+
+      if (this.searchCoords.isUserLocation) {
+        searchType = "near me";
+        origin = "your location";
+      } else if (this.searchCoords.isPlace) {
+        searchType = "place";
+        origin = this.searchCoords.placeName;
+      } else if (this.searchCoords.isPartial) {
         searchType = "partial postcode area";
       }
 
-      const maxRadius = Math.max(
-        ...this.filteredEvents.map((e) => e._searchRadius || 50)
-      );
       searchInfoHeader = `
                 <div class="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
                     <p class="text-sm text-blue-800">
@@ -817,52 +1641,41 @@ class EventMap {
                           searchType.charAt(0).toUpperCase() +
                           searchType.slice(1)
                         } Search:</strong>
-                        Showing events within ${maxRadius}km of "${searchQuery}", sorted by distance
+                        Showing events within ${
+                          this.searchCoords.radius
+                        }km of ${this.escapeHtml(origin)}, sorted by distance
+                    </p>
+                    ${this.createPlaceSuggestions(
+                      this.searchCoords.alternatives || []
+                    )}
+                </div>
+            `;
+    } else if (this.searchScores) {
+      const searchQuery = this.escapeHtml(
+        document.getElementById("searchInput").value.trim()
+      );
+      searchInfoHeader = `
+                <div class="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                    <p class="text-sm text-gray-700">
+                        <strong>🔎 Search:</strong>
+                        Showing events matching <em>${searchQuery}</em>, best matches first
                     </p>
                 </div>
             `;
     }
 
     if (eventItems) {
-      eventItems.innerHTML =
-        searchInfoHeader + this.generateGroupedEventsList();
-    }
-
-    // Update mobile event count
-    this.updateMobileEventCount();
-  }
-
-  updateMobileEventCount() {
-    const count = this.filteredEvents.length;
-
-    // Update mobile event count text
-    const mobileEventCount = document.getElementById("mobileEventCount");
-    if (mobileEventCount) {
-      if (count === 0) {
-        mobileEventCount.textContent =
-          "No events found - try adjusting filters";
-      } else {
-        mobileEventCount.textContent = `${count} event${
-          count !== 1 ? "s" : ""
-        } found - click markers for details`;
-      }
-    }
-
-    // Update all badge counters
-    const eventCounter = document.getElementById("eventCounter");
-    if (eventCounter) {
-      eventCounter.textContent = `${count} event${count !== 1 ? "s" : ""}`;
-    }
-
-    const mobileCounter = document.getElementById("mobileCounter");
-    if (mobileCounter) {
-      mobileCounter.textContent = count.toString();
+      eventItems.innerHTML = searchInfoHeader;
+      eventItems.scrollTop = 0;
+      const lastItem = this.appendListEntries(
+        eventItems,
+        this.listEntries.slice(0, this.eventsPerPage),
+        false
+      );
+      this.observeListEnd(eventItems, lastItem);
     }
 
-    const mobileEventCounter = document.getElementById("mobileEventCounter");
-    if (mobileEventCounter) {
-      mobileEventCounter.textContent = count.toString();
-    }
+    this.updateEventCounters();
   }
 
   displayMobileEventList() {
@@ -879,118 +1692,415 @@ class EventMap {
       return;
     }
 
-    mobileEventItems.innerHTML = this.generateMobileEventsList();
+    // Show the same pages as the desktop list
+    mobileEventItems.innerHTML = "";
+    mobileEventItems.scrollTop = 0;
+    const lastItem = this.appendListEntries(
+      mobileEventItems,
+      this.getDisplayedEntries(),
+      true
+    );
+    this.observeListEnd(mobileEventItems, lastItem);
   }
 
-  generateMobileEventsList() {
-    // Group events by date
-    const eventsByDate = new Map();
+  /**
+   * Everything the event list can show, in display order: events by date and
+   * time, or in series view a card per recurring series followed by the
+   * one-off events. A text search lists the best matches first instead.
+   * Multi-day events already under way are listed under the first day shown
+   * rather than the day they started. Pages are slices of this list.
+   * @returns {Array<{event: Object, date: string}|{series: Object}>} List
+   *   entries, events with the date they're listed under
+   */
+  getListEntries() {
+    const { toIsoDate, getListDate } = window.EventFilters;
+    const firstDay = [toIsoDate(new Date()), this.getDateRange().from]
+      .filter(Boolean)
+      .sort()
+      .pop();
+    const toEntry = (event) => ({
+      event: event,
+      date: getListDate(event, firstDay),
+    });
 
-    this.filteredEvents.forEach((event) => {
-      const dateKey = event.date;
-      if (!eventsByDate.has(dateKey)) {
-        eventsByDate.set(dateKey, []);
+    const byDateAndTime = (a, b) =>
+      a.date.localeCompare(b.date) ||
+      (a.event.startTime || a.event.time || "00:00").localeCompare(
+        b.event.startTime || b.event.time || "00:00"
+      );
+    const scores = this.searchScores;
+    const byRelevance = (a, b) =>
+      scores.get(b.event.id) - scores.get(a.event.id) || byDateAndTime(a, b);
+    const byOrder = scores ? byRelevance : byDateAndTime;
+
+    if (this.listView !== "series") {
+      return this.filteredEvents.map(toEntry).sort(byOrder);
+    }
+
+    const { series, singles } = window.EventSeries.groupEventSeries(
+      this.filteredEvents
+    );
+    if (scores) {
+      // A series ranks by its best-matching date
+      const bestScore = (s) =>
+        Math.max(...s.events.map((event) => scores.get(event.id)));
+      series.sort((a, b) => bestScore(b) - bestScore(a));
+    }
+    return [
+      ...series.map((s) => ({ series: s })),
+      ...singles.map(toEntry).sort(byOrder),
+    ];
+  }
+
+  getDisplayedEntries() {
+    return this.listEntries.slice(
+      0,
+      (this.currentPage + 1) * this.eventsPerPage
+    );
+  }
+
+  updateDisplayedEvents() {
+    this.displayedEvents = this.getDisplayedEntries().flatMap((entry) =>
+      entry.series ? entry.series.events : [entry.event]
+    );
+  }
+
+  /**
+   * Add entries to the end of a list. Entries join the section and date
+   * group already at the end of the list when they belong to it, so later
+   * pages continue the existing headers rather than repeating them.
+   * @param {HTMLElement} container - #eventItems or #mobileEventItems
+   * @param {Array<Object>} entries - Entries from getListEntries()
+   * @param {boolean} isMobile - Use the compact mobile layout
+   * @returns {HTMLElement|null} The last item added
+   */
+  appendListEntries(container, entries, isMobile) {
+    // Series view splits the list into regular sessions and one-off events
+    const hasSections = this.listEntries.some((entry) => entry.series);
+    let lastItem = null;
+
+    entries.forEach((entry) => {
+      let parent = container;
+
+      if (hasSections) {
+        const section = entry.series ? "series" : "singles";
+        parent = this.getListGroup(parent, section, "mt-6 first:mt-0", () =>
+          this.createListSectionHeader(section)
+        );
       }
-      eventsByDate.get(dateKey).push(event);
+
+      if (entry.series) {
+        parent.insertAdjacentHTML(
+          "beforeend",
+          this.createSeriesCard(entry.series, isMobile)
+        );
+      } else {
+        // Ranked results are out of date order, so each shows its own date
+        // rather than sitting under a date heading
+        const showDate = Boolean(this.searchScores);
+        const date = entry.date;
+        if (!showDate) {
+          parent = this.getListGroup(
+            parent,
+            date,
+            isMobile ? "mt-4 first:mt-0" : "mt-6 first:mt-0",
+            () => this.createDateGroupHeader(date, isMobile)
+          );
+        }
+        parent.insertAdjacentHTML(
+          "beforeend",
+          isMobile
+            ? this.createMobileEventListItem(entry.event, { showDate })
+            : this.createEventListItem(entry.event, { showDate })
+        );
+      }
+
+      lastItem = parent.lastElementChild;
     });
 
-    // Sort dates chronologically
-    const sortedDates = Array.from(eventsByDate.keys()).sort(
-      (a, b) => new Date(a) - new Date(b)
+    return lastItem;
+  }
+
+  /**
+   * Find a section or date group among a list element's children, creating
+   * it (with its header) if it isn't there yet
+   */
+  getListGroup(parent, key, className, createHeader) {
+    let group = Array.from(parent.children).find(
+      (child) => child.dataset.listGroup === key
     );
 
-    // Generate HTML for each date group - mobile optimized
-    return sortedDates
-      .map((date) => {
-        const eventsOnDate = eventsByDate.get(date);
+    if (!group) {
+      group = document.createElement("div");
+      group.dataset.listGroup = key;
+      group.className = className;
+      group.innerHTML = createHeader();
+      parent.appendChild(group);
+    }
 
-        // Sort events within the date by time
-        const sortedEvents = eventsOnDate.sort((a, b) => {
-          const timeA = a.startTime || a.time || "00:00";
-          const timeB = b.startTime || b.time || "00:00";
-          return timeA.localeCompare(timeB);
-        });
+    return group;
+  }
+
+  createListSectionHeader(section) {
+    const count = this.listEntries.filter((entry) =>
+      section === "series" ? entry.series : entry.event
+    ).length;
+    const title =
+      section === "series" ? "🔁 Regular sessions" : "📅 One-off events";
+
+    return `
+                <h3 class="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-3">
+                    ${title} <span class="font-normal">(${count})</span>
+                </h3>
+            `;
+  }
 
-        const dateHeader = `
-                <div class="mb-3 mt-4 first:mt-0">
+  createDateGroupHeader(date, isMobile) {
+    // Count every event on the date, including ones on later pages
+    const count = this.listEntries.filter(
+      (entry) => entry.event && entry.date === date
+    ).length;
+
+    if (isMobile) {
+      return `
+                <div class="mb-3">
                     <h4 class="text-lg font-bold text-gray-800 mb-2 pb-1 border-b border-gray-200">
                         📅 ${this.formatDate(date)}
-                        <span class="text-sm font-normal text-gray-600">(${
-                          eventsOnDate.length
-                        })</span>
+                        <span class="text-sm font-normal text-gray-600">(${count})</span>
                     </h4>
                 </div>
             `;
+    }
 
-        const eventsHtml = sortedEvents
-          .map((event) => {
-            // Generate tag badges for all categories - smaller for mobile
-            const categories =
-              Array.isArray(event.categories) && event.categories.length > 0
-                ? event.categories
-                : event.category
-                ? [event.category]
-                : [];
-            const tagBadges = categories
-              .map(
-                (category) =>
-                  `<span class="inline-block px-2 py-1 rounded-full text-xs font-medium text-white mr-1 mb-1 ${this.getCategoryColorClass(
-                    category
-                  )}">${this.formatCategoryName(category)}</span>`
-              )
-              .join("");
-
-            // Add distance information if available
-            const distanceInfo =
-              event._searchDistance !== undefined
-                ? `<p class="text-gray-600 text-xs mb-1">📏 ${event._searchDistance.toFixed(
-                    1
-                  )} km away</p>`
-                : "";
-
-            // Apply elapsed styling for mobile
-            const elapsedClass = event.isElapsed
-              ? "opacity-60 bg-gray-100"
-              : "bg-gray-50";
-            const borderClass = event.isElapsed
-              ? "border-gray-400"
-              : "border-blue-500";
-            const elapsedLabel = event.isElapsed
-              ? '<span class="text-xs bg-gray-500 text-white px-1 py-0.5 rounded mr-1">Ended</span>'
-              : "";
+    return `
+                <div class="mb-4">
+                    <h3 class="text-xl font-bold text-gray-800 mb-3 pb-2 border-b-2 border-blue-200">
+                        📅 ${this.formatDate(date)}
+                        <span class="text-sm font-normal text-gray-600 ml-2">(${count} event${
+      count > 1 ? "s" : ""
+    })</span>
+                    </h3>
+                </div>
+            `;
+  }
 
-            return `
-                    <div class="${elapsedClass} rounded-lg p-3 mb-3 border-l-4 ${borderClass}"
-                         onclick="eventMap.focusOnEvent('${event.id}')">
-                        <div class="flex justify-between items-start mb-2">
-                            <h5 class="text-sm font-semibold text-gray-800 leading-tight flex-1">${
-                              event.title
-                            }</h5>
-                            <div class="flex items-center ml-2">
-                                ${elapsedLabel}
-                                <span class="text-xs text-gray-600 whitespace-nowrap">${
-                                  event.timeDisplay || event.time
-                                }</span>
-                            </div>
-                        </div>
-                        ${distanceInfo}
-                        <p class="text-xs text-gray-600 mb-1"><strong>📍</strong> ${
-                          event.location
-                        }</p>
-                        <div class="mb-2">${tagBadges}</div>
+  /**
+   * Load the next page when the end of a list scrolls into view
+   * (EventMapUtils.CONFIG.INFINITE_SCROLL). The Load More buttons remain as
+   * a fallback.
+   * @param {HTMLElement} container - Scrolling list element
+   * @param {HTMLElement|null} lastItem - Last item in the list
+   */
+  observeListEnd(container, lastItem) {
+    if (!this.infiniteScroll || !window.IntersectionObserver) return;
+
+    let observer = this.listObservers.get(container);
+    if (!observer) {
+      observer = new IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) {
+            this.loadMoreEvents();
+          }
+        },
+        { root: container, rootMargin: "0px 0px 200px 0px" }
+      );
+      this.listObservers.set(container, observer);
+    }
+
+    // Observing afresh also reports straight away if the item is already
+    // visible, so a short page keeps loading until the list can scroll
+    observer.disconnect();
+    if (lastItem && this.hasMoreListEntries()) observer.observe(lastItem);
+  }
+
+  hasMoreListEntries() {
+    return (
+      (this.currentPage + 1) * this.eventsPerPage < this.listEntries.length
+    );
+  }
+
+  /**
+   * Summary card for a recurring series: its pattern, the next occurrence,
+   * and an expandable list of every date
+   * @param {Object} series - Series from EventSeries.groupEventSeries()
+   * @param {boolean} isMobile - Use the compact mobile layout
+   * @returns {string} HTML
+   */
+  createSeriesCard(series, isMobile) {
+    const next = series.next;
+    const summary = window.EventSeries.describeSeries(
+      series,
+      this.getCalendarEntry(next).rrule
+    );
+    const focusMethod = isMobile ? "focusOnEvent" : "focusEvent";
+    const textClass = isMobile ? "text-xs" : "text-sm";
+
+    const dates = series.events
+      .map(
+        (event) => `
+                        <li>
+                            <button type="button" class="text-left hover:underline ${
+                              event.isElapsed
+                                ? "text-gray-400 line-through"
+                                : ""
+                            }"
+                                    onclick="eventMap.${focusMethod}('${
+          event.id
+        }')">${this.formatDate(event.date)} · ${event.time}</button>
+                        </li>`
+      )
+      .join("");
+
+    return `
+                    <div class="bg-gray-50 rounded-lg ${
+                      isMobile ? "p-3 mb-3" : "p-4 mb-4"
+                    } cursor-pointer transition-all duration-300 border-l-4 border-blue-500 hover:bg-blue-50 hover:shadow-md"
+                         data-event-id="${next.id}" data-series-id="${
+      series.id
+    }" onclick="eventMap.${focusMethod}('${next.id}')">
+                        <h4 class="text-gray-800 ${
+                          isMobile ? "text-sm" : "text-lg"
+                        } font-semibold mb-1">${next.title}</h4>
+                        <p class="text-blue-800 ${textClass} font-medium mb-1">🔁 ${summary}</p>
+                        <p class="text-gray-600 ${textClass} mb-1"><strong>⏭️</strong> Next: ${this.formatDate(
+      next.date
+    )}</p>
+                        ${
+                          next._searchDistance !== undefined
+                            ? `<p class="text-gray-600 ${textClass} mb-1"><strong>📏</strong> ${next._searchDistance.toFixed(
+                                1
+                              )} km away</p>`
+                            : ""
+                        }
+                        <p class="text-gray-600 ${textClass} mb-1"><strong>📍</strong> ${
+      next.location
+    }</p>
                         ${
-                          event.description
-                            ? `<p class="text-xs text-gray-700 line-clamp-2">${event.description}</p>`
+                          next.isApproximateLocation
+                            ? '<p class="text-amber-700 text-xs mb-1">⚠️ Approximate map position</p>'
                             : ""
                         }
+                        <p class="text-gray-600 ${textClass} mb-1 line-clamp-2">${
+      next.description
+    }</p>
+                        <div class="flex flex-wrap">${this.createCategoryBadges(
+                          next
+                        )}</div>
+                        ${this.createEventActions(next, "mt-1")}
+                        <details class="mt-2" onclick="event.stopPropagation()">
+                            <summary class="text-xs text-blue-600 cursor-pointer hover:underline">Show all ${
+                              series.events.length
+                            } dates</summary>
+                            <ul class="mt-1 ml-4 ${textClass} text-gray-700 list-disc">${dates}
+                            </ul>
+                        </details>
                     </div>
                 `;
-          })
-          .join("");
+  }
+
+  createCategoryBadges(event) {
+    const categories =
+      Array.isArray(event.categories) && event.categories.length > 0
+        ? event.categories
+        : event.category != null
+        ? [event.category]
+        : [];
+
+    return categories
+      .map(
+        (category) =>
+          `<span class="inline-block px-2 py-1 rounded-full text-xs font-medium text-white mr-1 mb-1 ${this.getCategoryColorClass(
+            category
+          )}">${this.formatCategoryName(category)}</span>`
+      )
+      .join("");
+  }
+
+  setListView(view) {
+    this.listView = view === "series" ? "series" : "chronological";
+    this.updateListViewButtons();
+    this.displayEvents();
+
+    const mobileEventModal = document.getElementById("mobileEventModal");
+    if (mobileEventModal && !mobileEventModal.classList.contains("hidden")) {
+      this.displayMobileEventList();
+    }
+
+    this.syncUrlState();
+  }
+
+  updateListViewButtons() {
+    document.querySelectorAll("[data-list-view]").forEach((button) => {
+      const isActive = button.dataset.listView === this.listView;
+      button.classList.toggle("bg-blue-500", isActive);
+      button.classList.toggle("text-white", isActive);
+      button.classList.toggle("bg-white", !isActive);
+      button.classList.toggle("text-gray-700", !isActive);
+      button.setAttribute("aria-pressed", String(isActive));
+    });
+  }
 
-        return dateHeader + eventsHtml;
-      })
-      .join("");
+  createMobileEventListItem(event, { showDate = false } = {}) {
+    const tagBadges = this.createCategoryBadges(event);
+
+    // Add distance information if available
+    const distanceInfo =
+      event._searchDistance !== undefined
+        ? `<p class="text-gray-600 text-xs mb-1">📏 ${event._searchDistance.toFixed(
+            1
+          )} km away</p>`
+        : "";
+
+    // Apply elapsed styling for mobile
+    const elapsedClass = event.isElapsed
+      ? "opacity-60 bg-gray-100"
+      : "bg-gray-50";
+    const borderClass = event.isElapsed
+      ? "border-gray-400"
+      : "border-blue-500";
+    const elapsedLabel = event.isElapsed
+      ? '<span class="text-xs bg-gray-500 text-white px-1 py-0.5 rounded mr-1">Ended</span>'
+      : "";
+
+    return `
+            <div class="${elapsedClass} rounded-lg p-3 mb-3 border-l-4 ${borderClass}"
+                 onclick="eventMap.focusOnEvent('${event.id}')">
+                <div class="flex justify-between items-start mb-2">
+                    <h5 class="text-sm font-semibold text-gray-800 leading-tight flex-1">${
+                      event.title
+                    }</h5>
+                    <div class="flex items-center ml-2">
+                        ${elapsedLabel}
+                        <span class="text-xs text-gray-600 whitespace-nowrap">${
+                          event.timeDisplay || event.time
+                        }</span>
+                    </div>
+                </div>
+                ${
+                  showDate
+                    ? `<p class="text-xs text-gray-600 mb-1"><strong>📅</strong> ${this.formatDate(
+                        event.date
+                      )}</p>`
+                    : ""
+                }
+                ${distanceInfo}
+                <p class="text-xs text-gray-600 mb-1"><strong>📍</strong> ${
+                  event.location
+                }</p>
+                ${
+                  event.isApproximateLocation
+                    ? '<p class="text-xs text-amber-700 mb-1">⚠️ Approximate map position</p>'
+                    : ""
+                }
+                <div class="mb-2">${tagBadges}</div>
+                ${
+                  event.description
+                    ? `<p class="text-xs text-gray-700 line-clamp-2">${event.description}</p>`
+                    : ""
+                }
+                ${this.createEventActions(event, "mt-2")}
+            </div>
+        `;
   }
 
   focusOnEvent(eventId) {
@@ -1009,7 +2119,7 @@ class EventMap {
     this.map.setView([event.lat, event.lng], 15);
 
     // Open the popup
-    event._marker.openPopup();
+    this.openMarkerPopup(event._marker);
 
     // Add a brief highlight effect
     setTimeout(() => {
@@ -1017,106 +2127,58 @@ class EventMap {
     }, 2000);
   }
 
-  generateGroupedEventsList() {
-    // Group events by date
-    const eventsByDate = new Map();
-
-    this.filteredEvents.forEach((event) => {
-      const dateKey = event.date;
-      if (!eventsByDate.has(dateKey)) {
-        eventsByDate.set(dateKey, []);
-      }
-      eventsByDate.get(dateKey).push(event);
-    });
-
-    // Sort dates chronologically
-    const sortedDates = Array.from(eventsByDate.keys()).sort(
-      (a, b) => new Date(a) - new Date(b)
-    );
-
-    // Generate HTML for each date group
-    return sortedDates
-      .map((date) => {
-        const eventsOnDate = eventsByDate.get(date);
-
-        // Sort events within the date by time
-        const sortedEvents = eventsOnDate.sort((a, b) => {
-          const timeA = a.startTime || a.time || "00:00";
-          const timeB = b.startTime || b.time || "00:00";
-          return timeA.localeCompare(timeB);
-        });
+  createEventListItem(event, { showDate = false } = {}) {
+    const tagBadges = this.createCategoryBadges(event);
+
+    // Add distance information if available (from postcode search)
+    const distanceInfo =
+      event._searchDistance !== undefined
+        ? `<p class="text-gray-600 text-sm mb-1"><strong>📏</strong> ${event._searchDistance.toFixed(
+            1
+          )} km away</p>`
+        : "";
+
+    // Apply elapsed styling if event has passed
+    const elapsedClass = event.isElapsed
+      ? "opacity-60 bg-gray-100"
+      : "bg-gray-50";
+    const borderClass = event.isElapsed
+      ? "border-gray-400"
+      : "border-blue-500";
+    const hoverClass = event.isElapsed
+      ? "hover:bg-gray-200"
+      : "hover:bg-blue-50";
+    const elapsedLabel = event.isElapsed
+      ? '<span class="text-xs bg-gray-500 text-white px-2 py-1 rounded-full mr-2">Ended</span>'
+      : "";
 
-        const dateHeader = `
-                <div class="mb-4 mt-6 first:mt-0">
-                    <h3 class="text-xl font-bold text-gray-800 mb-3 pb-2 border-b-2 border-blue-200">
-                        📅 ${this.formatDate(date)}
-                        <span class="text-sm font-normal text-gray-600 ml-2">(${
-                          eventsOnDate.length
-                        } event${eventsOnDate.length > 1 ? "s" : ""})</span>
-                    </h3>
+    return `
+            <div class="${elapsedClass} rounded-lg p-4 cursor-pointer transition-all duration-300 border-l-4 ${borderClass} ${hoverClass} hover:shadow-md hover:-translate-y-1 mb-4"
+                 data-event-id="${event.id}" onclick="eventMap.focusEvent('${event.id}')">
+                <div class="flex items-start justify-between mb-2">
+                    <h4 class="text-gray-800 text-lg font-semibold flex-1">${event.title}</h4>
+                    ${elapsedLabel}
                 </div>
-            `;
-
-        const eventsHtml = sortedEvents
-          .map((event) => {
-            // Generate tag badges for all categories
-            const categories =
-              Array.isArray(event.categories) && event.categories.length > 0
-                ? event.categories
-                : event.category != null
-                ? [event.category]
-                : [];
-            const tagBadges = categories
-              .map(
-                (category) =>
-                  `<span class="inline-block px-2 py-1 rounded-full text-xs font-medium text-white mr-1 mb-1 ${this.getCategoryColorClass(
-                    category
-                  )}">${this.formatCategoryName(category)}</span>`
-              )
-              .join("");
-
-            // Add distance information if available (from postcode search)
-            const distanceInfo =
-              event._searchDistance !== undefined
-                ? `<p class="text-gray-600 text-sm mb-1"><strong>📏</strong> ${event._searchDistance.toFixed(
-                    1
-                  )} km away</p>`
-                : "";
-
-            // Apply elapsed styling if event has passed
-            const elapsedClass = event.isElapsed
-              ? "opacity-60 bg-gray-100"
-              : "bg-gray-50";
-            const borderClass = event.isElapsed
-              ? "border-gray-400"
-              : "border-blue-500";
-            const hoverClass = event.isElapsed
-              ? "hover:bg-gray-200"
-              : "hover:bg-blue-50";
-            const elapsedLabel = event.isElapsed
-              ? '<span class="text-xs bg-gray-500 text-white px-2 py-1 rounded-full mr-2">Ended</span>'
-              : "";
-
-            return `
-                    <div class="${elapsedClass} rounded-lg p-4 cursor-pointer transition-all duration-300 border-l-4 ${borderClass} ${hoverClass} hover:shadow-md hover:-translate-y-1 mb-4"
-                         data-event-id="${event.id}" onclick="eventMap.focusEvent(${event.id})">
-                        <div class="flex items-start justify-between mb-2">
-                            <h4 class="text-gray-800 text-lg font-semibold flex-1">${event.title}</h4>
-                            ${elapsedLabel}
-                        </div>
-                        <p class="text-gray-600 text-sm mb-1"><strong>⏰</strong> ${event.time}</p>
-                        <p class="text-gray-600 text-sm mb-1"><strong>📍</strong> ${event.location}</p>
-
-                        <p class="text-gray-600 text-sm mb-1">${event.description}</p>
-                        <div class="flex flex-wrap">${tagBadges}</div>
-                    </div>
-                `;
-          })
-          .join("");
-
-        return dateHeader + eventsHtml;
-      })
-      .join("");
+                ${
+                  showDate
+                    ? `<p class="text-gray-600 text-sm mb-1"><strong>📅</strong> ${this.formatDate(
+                        event.date
+                      )}</p>`
+                    : ""
+                }
+                <p class="text-gray-600 text-sm mb-1"><strong>⏰</strong> ${event.time}</p>
+                <p class="text-gray-600 text-sm mb-1"><strong>📍</strong> ${event.location}</p>
+                ${
+                  event.isApproximateLocation
+                    ? '<p class="text-amber-700 text-xs mb-1">⚠️ Approximate map position</p>'
+                    : ""
+                }
+
+                <p class="text-gray-600 text-sm mb-1">${event.description}</p>
+                <div class="flex flex-wrap">${tagBadges}</div>
+                ${this.createEventActions(event, "mt-1")}
+            </div>
+        `;
   }
 
   focusEvent(eventId) {
@@ -1126,12 +2188,8 @@ class EventMap {
       this.map.setView([event.lat, event.lng], 10);
 
       // Open popup for the marker
-      const marker = this.markers.find(
-        (m) =>
-          m.getLatLng().lat === event.lat && m.getLatLng().lng === event.lng
-      );
-      if (marker) {
-        marker.openPopup();
+      if (event._marker && this.markers.includes(event._marker)) {
+        this.openMarkerPopup(event._marker);
       }
 
       this.highlightEvent(eventId);
@@ -1139,14 +2197,34 @@ class EventMap {
   }
 
   highlightEvent(eventId) {
+    this.selectedEventId = eventId;
+    this.syncUrlState({ replace: true });
+
     // Remove highlight from all items by resetting border color
     document.querySelectorAll("[data-event-id]").forEach((item) => {
       item.classList.remove("border-red-500", "bg-red-50");
       item.classList.add("border-blue-500", "bg-gray-50");
     });
 
-    // Add highlight to selected item
-    const selectedItem = document.querySelector(`[data-event-id="${eventId}"]`);
+    // Add highlight to selected item, or to its series card in series view
+    const event = this.events.find((e) => e.id === eventId);
+    const findItem = () =>
+      document.querySelector(`[data-event-id="${eventId}"]`) ||
+      (event?.recurringEventId &&
+        document.querySelector(
+          `[data-series-id="${event.recurringEventId}"]`
+        ));
+
+    // Load further pages if the event isn't listed yet
+    while (
+      !findItem() &&
+      this.filteredEvents.includes(event) &&
+      this.hasMoreListEntries()
+    ) {
+      this.loadMoreEvents();
+    }
+
+    const selectedItem = findItem();
     if (selectedItem) {
       selectedItem.classList.remove("border-blue-500", "bg-gray-50");
       selectedItem.classList.add("border-red-500", "bg-red-50");
@@ -1165,15 +2243,14 @@ class EventMap {
       const sanitisedQuery =
         this.utils?.validateSearchInput(rawQuery) || rawQuery.trim();
       searchInput.value = sanitisedQuery; // Update input with sanitised value
-      await this.filterEvents();
+      await this.filterEvents({ geocodePlaces: true });
     };
 
     // Create debounced version of filter for typing
+    const filterAsTyped = () => this.filterEvents({ replaceHistory: true });
     const debouncedFilter =
-      this.utils?.debounce(
-        () => this.filterEvents(),
-        this.utils.CONFIG.DEBOUNCE_DELAY
-      ) || (() => this.filterEvents());
+      this.utils?.debounce(filterAsTyped, this.utils.CONFIG.DEBOUNCE_DELAY) ||
+      filterAsTyped;
 
     // Real-time search as user types (debounced)
     searchInput.addEventListener("input", debouncedFilter);
@@ -1189,32 +2266,125 @@ class EventMap {
       }
     });
 
+    // Proximity search around the user's position, and its radius
+    const nearMeBtn = document.getElementById("nearMeBtn");
+    const radiusSelect = document.getElementById("radiusSelect");
+
+    if (nearMeBtn) {
+      nearMeBtn.addEventListener("click", () => this.useMyLocation());
+    }
+    if (radiusSelect) {
+      radiusSelect.value = String(this.searchRadius);
+      radiusSelect.addEventListener("change", async () => {
+        this.searchRadius = Number(radiusSelect.value);
+        await this.filterEvents();
+      });
+    }
+
     // Filter functionality
     const categoryFilter = document.getElementById("categoryFilter");
-    const dateFilter = document.getElementById("dateFilter");
+    const dateFrom = document.getElementById("dateFrom");
+    const dateTo = document.getElementById("dateTo");
     const clearFilters = document.getElementById("clearFilters");
 
-    categoryFilter.addEventListener(
-      "change",
-      async () => await this.filterEvents()
-    );
-    dateFilter.addEventListener(
-      "change",
-      async () => await this.filterEvents()
-    );
+    // Category, day and time of day chips
+    categoryFilter.addEventListener("click", (e) => {
+      const chip = e.target.closest("[data-category]");
+      if (chip) {
+        this.toggleFilterChip(this.selectedCategories, chip.dataset.category);
+      }
+    });
+    document.getElementById("dayFilter")?.addEventListener("click", (e) => {
+      const chip = e.target.closest("[data-day]");
+      if (chip) this.toggleFilterChip(this.selectedDays, chip.dataset.day);
+    });
+    document.getElementById("timeFilter")?.addEventListener("click", (e) => {
+      const chip = e.target.closest("[data-time-of-day]");
+      if (chip) {
+        this.toggleFilterChip(this.selectedTimesOfDay, chip.dataset.timeOfDay);
+      }
+    });
+    document.querySelectorAll("[data-category-match]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.setCategoryMatch(button.dataset.categoryMatch)
+      );
+    });
+
+    // "Did you mean ...?" place suggestions above and in place of the list
+    document.getElementById("eventItems")?.addEventListener("click", (e) => {
+      const suggestion = e.target.closest("[data-place]");
+      if (suggestion) this.searchFor(suggestion.dataset.place);
+    });
+
+    // Custom date range, which takes over from the quick date filters
+    [dateFrom, dateTo].forEach((input) => {
+      input.addEventListener("change", async () => {
+        this.currentDateFilter =
+          dateFrom.value || dateTo.value ? "custom" : "all";
+        this.currentPage = 0;
+        this.updateDateFilterButtons();
+        await this.filterEvents();
+      });
+    });
 
     clearFilters.addEventListener("click", async () => {
       searchInput.value = "";
-      categoryFilter.value = "";
-      dateFilter.value = "";
+      this.selectedCategories.clear();
+      this.categoryMatch = "any";
+      this.selectedDays.clear();
+      this.selectedTimesOfDay.clear();
+      dateFrom.value = "";
+      dateTo.value = "";
       this.currentDateFilter = "all";
+      this.updateDateFilterButtons();
       this.currentPage = 0;
+      this.hiddenCategories.clear();
+      this.updateLegend();
+      this.userLocation = null;
+      this.updateNearMeButton();
+      this.searchRadius = this.defaultSearchRadius;
+      if (radiusSelect) radiusSelect.value = String(this.searchRadius);
       await this.filterEvents();
     });
 
+    // List view toggle (by date / grouped into recurring series)
+    document.querySelectorAll("[data-list-view]").forEach((button) => {
+      button.addEventListener("click", () =>
+        this.setListView(button.dataset.listView)
+      );
+    });
+
+    // Export menu
+    const exportMenuBtn = document.getElementById("exportMenuBtn");
+    const exportMenu = document.getElementById("exportMenu");
+
+    if (exportMenuBtn && exportMenu) {
+      const setExportMenuOpen = (open) => {
+        exportMenu.classList.toggle("hidden", !open);
+        exportMenuBtn.setAttribute("aria-expanded", String(open));
+      };
+
+      exportMenuBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        setExportMenuOpen(exportMenu.classList.contains("hidden"));
+      });
+      exportMenu.addEventListener("click", (e) => {
+        const option = e.target.closest("[data-export]");
+        if (!option) return;
+        setExportMenuOpen(false);
+        this.exportFilteredEvents(option.dataset.export);
+      });
+      document.addEventListener("click", () => setExportMenuOpen(false));
+      document.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") setExportMenuOpen(false);
+      });
+    }
+
     // Quick date filter buttons
     const filterToday = document.getElementById("filterToday");
     const filterWeek = document.getElementById("filterWeek");
+    const filterWeekend = document.getElementById("filterWeekend");
+    const filterNextWeek = document.getElementById("filterNextWeek");
     const filterMonth = document.getElementById("filterMonth");
     const filterAll = document.getElementById("filterAll");
 
@@ -1224,6 +2394,16 @@ class EventMap {
     if (filterWeek) {
       filterWeek.addEventListener("click", () => this.setDateFilter("week"));
     }
+    if (filterWeekend) {
+      filterWeekend.addEventListener("click", () =>
+        this.setDateFilter("weekend")
+      );
+    }
+    if (filterNextWeek) {
+      filterNextWeek.addEventListener("click", () =>
+        this.setDateFilter("next-week")
+      );
+    }
     if (filterMonth) {
       filterMonth.addEventListener("click", () => this.setDateFilter("month"));
     }
@@ -1239,9 +2419,7 @@ class EventMap {
       loadMoreBtn.addEventListener("click", () => this.loadMoreEvents());
     }
     if (mobileLoadMoreBtn) {
-      mobileLoadMoreBtn.addEventListener("click", () =>
-        this.loadMoreEvents(true)
-      );
+      mobileLoadMoreBtn.addEventListener("click", () => this.loadMoreEvents());
     }
 
     // Mobile list modal functionality
@@ -1277,6 +2455,9 @@ class EventMap {
 
   async setDateFilter(filterType) {
     this.currentDateFilter = filterType;
+    // Quick filters replace any custom date range
+    document.getElementById("dateFrom").value = "";
+    document.getElementById("dateTo").value = "";
     this.currentPage = 0;
     this.updateDateFilterButtons();
     await this.filterEvents();
@@ -1286,6 +2467,8 @@ class EventMap {
     const buttons = {
       today: document.getElementById("filterToday"),
       week: document.getElementById("filterWeek"),
+      weekend: document.getElementById("filterWeekend"),
+      "next-week": document.getElementById("filterNextWeek"),
       month: document.getElementById("filterMonth"),
       all: document.getElementById("filterAll"),
     };
@@ -1306,6 +2489,8 @@ class EventMap {
       const colorMap = {
         today: "bg-green-500 text-white",
         week: "bg-blue-500 text-white",
+        weekend: "bg-orange-500 text-white",
+        "next-week": "bg-teal-500 text-white",
         month: "bg-purple-500 text-white",
         all: "bg-gray-500 text-white",
       };
@@ -1316,44 +2501,63 @@ class EventMap {
     }
   }
 
-  filterEventsByDate(events) {
-    if (this.currentDateFilter === "all") {
-      return events; // No filtering needed
+  /**
+   * Dates the list is limited to: the custom from/to range if one is set,
+   * otherwise the quick date filter's
+   * @returns {{from: string|null, to: string|null}} Inclusive ISO dates, null
+   *   where unbounded
+   */
+  getDateRange() {
+    if (this.currentDateFilter !== "custom") {
+      return window.EventFilters.getDatePresetRange(this.currentDateFilter);
     }
 
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const from = document.getElementById("dateFrom").value || null;
+    const to = document.getElementById("dateTo").value || null;
 
-    const filtered = events.filter((event) => {
-      const eventDate = new Date(event.date);
+    // Accept the dates either way round
+    return from && to && from > to ? { from: to, to: from } : { from, to };
+  }
 
-      switch (this.currentDateFilter) {
-        case "today":
-          return eventDate.toDateString() === today.toDateString();
-        case "week":
-          const weekFromNow = new Date(
-            today.getTime() + 7 * 24 * 60 * 60 * 1000
-          );
-          return eventDate >= today && eventDate <= weekFromNow;
-        case "month":
-          const monthFromNow = new Date(
-            today.getFullYear(),
-            today.getMonth() + 1,
-            today.getDate()
-          );
-          return eventDate >= today && eventDate <= monthFromNow;
-        case "all":
-        default:
-          return true;
-      }
-    });
+  filterEventsByDate(events) {
+    const range = this.getDateRange();
+    if (!range.from && !range.to) {
+      return events; // No filtering needed
+    }
 
-    return filtered;
+    // Compare each event's whole span, so multi-day events that started
+    // before the range still count
+    return events.filter((event) =>
+      window.EventFilters.overlapsDateRange(event, range)
+    );
   }
 
-  loadMoreEvents(isMobile = false) {
+  /**
+   * Show the next page of the list, appending it to the desktop list and to
+   * the mobile list if it's open
+   */
+  loadMoreEvents() {
+    if (!this.hasMoreListEntries()) return;
+
+    const start = (this.currentPage + 1) * this.eventsPerPage;
+    const entries = this.listEntries.slice(start, start + this.eventsPerPage);
     this.currentPage++;
-    this.displayEvents(isMobile, true); // true = append mode
+    this.updateDisplayedEvents();
+
+    const lists = [{ id: "eventItems", isMobile: false }];
+    const mobileEventModal = document.getElementById("mobileEventModal");
+    if (mobileEventModal && !mobileEventModal.classList.contains("hidden")) {
+      lists.push({ id: "mobileEventItems", isMobile: true });
+    }
+
+    lists.forEach(({ id, isMobile }) => {
+      const container = document.getElementById(id);
+      if (!container) return;
+      const lastItem = this.appendListEntries(container, entries, isMobile);
+      this.observeListEnd(container, lastItem);
+    });
+
+    this.updateEventCounters();
   }
 
   updateEventCounters() {
@@ -1363,7 +2567,10 @@ class EventMap {
     // Desktop counter
     const eventCounter = document.getElementById("eventCounter");
     if (eventCounter) {
-      eventCounter.textContent = `${displayed} of ${totalFiltered} events`;
+      eventCounter.textContent =
+        displayed < totalFiltered
+          ? `${displayed} of ${totalFiltered} events`
+          : `${totalFiltered} event${totalFiltered !== 1 ? "s" : ""}`;
     }
 
     // Mobile counters
@@ -1409,75 +2616,128 @@ class EventMap {
     }
   }
 
-  async filterEvents() {
+  /**
+   * Apply the search and filters to the events and refresh the list and map
+   * @param {Object} [options]
+   * @param {boolean} [options.geocodePlaces] - Look up place names missing
+   *   from the bundled gazetteer over the network. Only for explicit
+   *   searches, not every keystroke.
+   * @param {boolean} [options.replaceHistory] - Update the current history
+   *   entry instead of adding one, so typing a search doesn't leave an entry
+   *   per keystroke
+   */
+  async filterEvents({ geocodePlaces = false, replaceHistory = false } = {}) {
     const searchQuery = document
       .getElementById("searchInput")
       .value.toLowerCase()
       .trim();
-    const categoryFilterValue = document.getElementById("categoryFilter").value;
-    const dateFilterValue = document.getElementById("dateFilter").value;
 
-    // Check if search query is a postcode for proximity search
+    // Relevance of each event matching the search text
+    const textMatches = this.searchIndex.search(searchQuery);
+    const matchesText = (event) => !textMatches || textMatches.has(event.id);
+
+    // Check if search query is a postcode or place name for proximity search
     let searchCoords = null;
     const isPostcodeSearch = this.isPostcode(searchQuery);
+    this.placeSuggestions = [];
 
     if (searchQuery.length > 0 && isPostcodeSearch) {
       searchCoords = await this.geocodePostcode(searchQuery);
+    } else if (searchQuery.length > 0) {
+      searchCoords = await this.findPlaceSearch(searchQuery, {
+        hasTextMatches: !textMatches || textMatches.size > 0,
+        geocode: geocodePlaces,
+      });
+    }
+
+    if (!searchCoords && this.userLocation) {
+      // "Use my location" - any search text narrows the events nearby
+      searchCoords = {
+        ...this.userLocation,
+        radius: this.searchRadius,
+        isUserLocation: true,
+      };
     }
+    this.searchCoords = searchCoords;
+    // Proximity searches are listed by distance instead
+    this.searchScores = searchCoords ? null : textMatches;
 
     this.filteredEvents = this.events.filter((event) => {
+      // Distances from an earlier search no longer apply
+      delete event._searchDistance;
+      delete event._searchRadius;
+      delete event._isPartialPostcode;
+
+      if (searchCoords) {
+        // Store distance and search info for display
+        event._searchDistance = this.calculateDistance(
+          searchCoords.lat,
+          searchCoords.lng,
+          event.lat,
+          event.lng
+        );
+        event._searchRadius = searchCoords.radius;
+        event._isPartialPostcode = searchCoords.isPartial;
+      }
+
       // Search filter
       let matchesSearch = !searchQuery;
 
       if (searchQuery && !matchesSearch) {
         // Standard text search
-        matchesSearch =
-          event.title.toLowerCase().includes(searchQuery) ||
-          event.description.toLowerCase().includes(searchQuery) ||
-          event.location.toLowerCase().includes(searchQuery);
-
-        // If postcode search and we have coordinates, include events within reasonable distance
-        if (isPostcodeSearch && searchCoords && !matchesSearch) {
-          const distance = this.calculateDistance(
-            searchCoords.lat,
-            searchCoords.lng,
-            event.lat,
-            event.lng
-          );
+        matchesSearch = matchesText(event);
 
-          // Use dynamic radius based on search type
-          const searchRadius = searchCoords.radius || 50;
-          matchesSearch = distance <= searchRadius;
-
-          // Store distance and search info for display
-          event._searchDistance = distance;
-          event._searchRadius = searchRadius;
-          event._isPartialPostcode = searchCoords.isPartial;
+        // If postcode or place search, include events within the search radius
+        if (searchCoords && !searchCoords.isUserLocation && !matchesSearch) {
+          matchesSearch = event._searchDistance <= searchCoords.radius;
         }
       }
 
-      // Category filter - check both primary category and all categories
-      const matchesCategory =
-        !categoryFilterValue ||
-        event.category === categoryFilterValue ||
-        (event.categories && event.categories.includes(categoryFilterValue));
+      // Near my location: only events within the radius
+      if (searchCoords?.isUserLocation) {
+        matchesSearch =
+          matchesSearch && event._searchDistance <= searchCoords.radius;
+      }
+
+      // Categories switched off in the map legend
+      const matchesLegend = !this.hiddenCategories.has(event.category);
 
-      // Date filter
-      const matchesDate = !dateFilterValue || event.date === dateFilterValue;
+      // Day of the week and time of day chips
+      const matchesDayAndTime = window.EventFilters.matchesDayAndTime(
+        event,
+        this.selectedDays,
+        this.selectedTimesOfDay
+      );
 
-      return matchesSearch && matchesCategory && matchesDate;
+      return matchesSearch && matchesLegend && matchesDayAndTime;
     });
 
-    // Apply date range filtering based on quick filters
-    this.filteredEvents = this.filterEventsByDate(this.filteredEvents);
+    // Apply date range filtering based on quick filters or from/to dates
+    const matchingEvents = this.filterEventsByDate(this.filteredEvents);
+
+    // Category chips last, so each chip can count the events it would match
+    this.filteredEvents = matchingEvents.filter((event) =>
+      window.EventFilters.matchesCategories(
+        event,
+        this.selectedCategories,
+        this.categoryMatch
+      )
+    );
+    this.populateCategoryFilter(matchingEvents);
+    this.populateDayAndTimeFilters();
 
-    // If it was a postcode search, sort by distance
-    if (isPostcodeSearch && searchCoords) {
+    // If it was a proximity search, sort by distance
+    if (searchCoords) {
       this.filteredEvents.sort((a, b) => {
         const distanceA = a._searchDistance || 0;
         const distanceB = b._searchDistance || 0;
         return distanceA - distanceB;
       });
+    } else if (this.searchScores) {
+      // Otherwise best matches first
+      this.filteredEvents.sort(
+        (a, b) => this.searchScores.get(b.id) - this.searchScores.get(a.id)
+      );
     }
 
     // Reset pagination
@@ -1485,40 +2745,329 @@ class EventMap {
     this.displayedEvents = [];
 
     this.displayEvents();
+    // Before addMarkers(), whose map fit updates the new entry's map view
+    this.syncUrlState({ replace: replaceHistory });
+    this.updateSearchCircle();
     this.addMarkers();
   }
 
+  /**
+   * Treat a search as a place name if it is one: the bundled gazetteer is
+   * checked first, then network geocoding
+   * @param {string} query - Lower-case search text
+   * @param {Object} options
+   * @param {boolean} options.hasTextMatches - Whether any event mentions the
+   *   text. Network lookups and spelling suggestions are only for searches
+   *   that would otherwise find nothing.
+   * @param {boolean} options.geocode - Allow a network lookup
+   * @returns {Promise<Object|null>} Search centre, or null for a plain text
+   *   search
+   */
+  async findPlaceSearch(query, { hasTextMatches, geocode }) {
+    const { place, alternatives, suggestions } =
+      window.NorthEastPlaces.findPlace(query);
+
+    if (place) {
+      return {
+        lat: place.lat,
+        lng: place.lng,
+        radius: this.searchRadius,
+        isPlace: true,
+        placeName: `${place.name}, ${place.area}`,
+        alternatives: alternatives,
+      };
+    }
+
+    if (hasTextMatches) return null;
+
+    // A near miss is more likely a typo than a place we don't know about
+    if (suggestions.length > 0) {
+      this.placeSuggestions = suggestions;
+      return null;
+    }
+
+    const key = window.NorthEastPlaces.normalisePlaceName(query);
+    if (!this.geocodedPlaces.has(key) && geocode) {
+      this.geocodedPlaces.set(key, await this.geocodePlaceName(query));
+    }
+
+    const geocoded = this.geocodedPlaces.get(key);
+    return geocoded ? { ...geocoded, radius: this.searchRadius } : null;
+  }
+
+  /**
+   * "Did you mean ...?" links that search for each of the given places
+   * @param {Array<Object>} places - Places from NorthEastPlaces.findPlace()
+   * @returns {string} HTML, or an empty string when there are none
+   */
+  createPlaceSuggestions(places) {
+    if (places.length === 0) return "";
+
+    const links = places
+      .map(
+        (place) =>
+          `<button type="button" class="underline hover:text-blue-600" data-place="${this.escapeAttribute(
+            place.name
+          )}">${this.escapeHtml(place.name)}</button>`
+      )
+      .join(", ");
+
+    return `<p class="text-sm text-blue-800 mt-1">Did you mean ${links}?</p>`;
+  }
+
+  async searchFor(query) {
+    document.getElementById("searchInput").value = query;
+    await this.filterEvents({ geocodePlaces: true });
+  }
+
+  /**
+   * Draw the proximity search radius on the map, replacing any previous one
+   */
+  updateSearchCircle() {
+    if (this.searchCircle) {
+      this.map.removeLayer(this.searchCircle);
+      this.searchCircle = null;
+    }
+    if (!this.searchCoords) return;
+
+    const { lat, lng, radius } = this.searchCoords;
+    this.searchCircle = L.circle([lat, lng], {
+      radius: radius * 1000,
+      color: "#2563eb",
+      weight: 2,
+      fillOpacity: 0.06,
+      interactive: false,
+    }).addTo(this.map);
+  }
+
+  /**
+   * Search around the user's current position, or turn that search off if
+   * it's already on
+   */
+  useMyLocation() {
+    if (this.userLocation) {
+      this.userLocation = null;
+      this.updateNearMeButton();
+      this.filterEvents();
+      return;
+    }
+
+    if (!navigator.geolocation) {
+      this.utils?.showToast(
+        "Your browser can't share your location. Try searching by postcode.",
+        "error"
+      );
+      return;
+    }
+
+    this.utils?.showLoadingSpinner("Finding your location...");
+
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        this.utils?.hideLoadingSpinner();
+        this.userLocation = {
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+        };
+        this.updateNearMeButton();
+        await this.filterEvents();
+      },
+      (error) => {
+        this.utils?.hideLoadingSpinner();
+        console.warn("Geolocation failed:", error);
+        this.utils?.showToast(
+          error.code === error.PERMISSION_DENIED
+            ? "Location access was blocked. Allow it in your browser, or search by postcode."
+            : "Couldn't find your location. Try searching by postcode.",
+          "error"
+        );
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 300000 }
+    );
+  }
+
+  updateNearMeButton() {
+    const nearMeBtn = document.getElementById("nearMeBtn");
+    if (!nearMeBtn) return;
+
+    const isActive = this.userLocation !== null;
+    nearMeBtn.classList.toggle("bg-blue-500", isActive);
+    nearMeBtn.classList.toggle("text-white", isActive);
+    nearMeBtn.classList.toggle("bg-white", !isActive);
+    nearMeBtn.classList.toggle("text-blue-700", !isActive);
+    nearMeBtn.setAttribute("aria-pressed", String(isActive));
+    nearMeBtn.textContent = isActive ? "📍 Near me ✕" : "📍 Use my location";
+  }
+
+  getEventPermalink(eventId) {
+    const { origin, pathname } = window.location;
+    return `${origin}${pathname}#/event/${encodeURIComponent(eventId)}`;
+  }
+
+  async copyEventLink(eventId) {
+    const link = this.getEventPermalink(eventId);
+
+    try {
+      await navigator.clipboard.writeText(link);
+      this.utils?.showToast("Link copied to clipboard", "success");
+    } catch (error) {
+      // Clipboard access needs a secure context and permission
+      window.prompt("Copy this link to the event:", link);
+    }
+  }
+
+  showEventFromRoute() {
+    const match = window.location.hash.match(/^#\/event\/([^/?#]+)/);
+    if (!match) return;
+
+    const eventId = decodeURIComponent(match[1]);
+    const event = this.events.find((e) => e.id === eventId);
+
+    if (!event) {
+      const pastEvent = this.pastEvents.get(eventId);
+      this.utils?.showToast(
+        pastEvent
+          ? `"${pastEvent.title}" took place on ${this.formatDate(
+              pastEvent.date
+            )}`
+          : "That event is no longer listed - it may have been cancelled or moved",
+        "warning",
+        6000
+      );
+      return;
+    }
+
+    this.openEventDetail(event);
+  }
+
+  openEventDetail(event) {
+    // Works even when the current filters hide the event's marker
+    const showPopup = () => {
+      L.popup()
+        .setLatLng([event.lat, event.lng])
+        .setContent(this.createPopupContent(event))
+        .openOn(this.map);
+    };
+
+    if (event._marker && this.markerCluster.hasLayer(event._marker)) {
+      this.markerCluster.zoomToShowLayer(event._marker, showPopup);
+    } else {
+      this.map.setView([event.lat, event.lng], 15);
+      showPopup();
+    }
+
+    this.highlightEvent(event.id);
+  }
+
+  getUrlState() {
+    const center = this.map?.getCenter();
+
+    return {
+      q: document.getElementById("searchInput").value.trim(),
+      categories: Array.from(this.selectedCategories),
+      match: this.categoryMatch,
+      days: Array.from(this.selectedDays),
+      times: Array.from(this.selectedTimesOfDay),
+      from: document.getElementById("dateFrom").value,
+      to: document.getElementById("dateTo").value,
+      range:
+        this.currentDateFilter === "custom" ? "all" : this.currentDateFilter,
+      hidden: Array.from(this.hiddenCategories),
+      radius:
+        this.searchRadius !== this.defaultSearchRadius
+          ? this.searchRadius
+          : null,
+      view: this.listView,
+      event: this.selectedEventId,
+      map: center
+        ? { lat: center.lat, lng: center.lng, zoom: this.map.getZoom() }
+        : null,
+    };
+  }
+
+  /**
+   * Write the current view into the query string
+   * @param {Object} [options]
+   * @param {boolean} [options.replace] - Update the current history entry
+   *   instead of adding one (for map moves, selection changes and searches
+   *   as they are typed)
+   */
+  syncUrlState({ replace = false } = {}) {
+    if (this.isRestoringUrlState || !window.history?.pushState) return;
+
+    const search = window.UrlState.buildUrlSearch(this.getUrlState());
+    this.urlSearch = search;
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (replace) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+  }
+
+  async restoreUrlState() {
+    const state = window.UrlState.parseUrlState(window.location.search);
+    this.urlSearch = window.location.search;
+
+    this.isRestoringUrlState = true;
+    try {
+      document.getElementById("searchInput").value =
+        this.utils?.validateSearchInput(state.q) || "";
+      this.selectedCategories = new Set(state.categories);
+      this.categoryMatch = state.match;
+      this.selectedDays = new Set(state.days);
+      this.selectedTimesOfDay = new Set(state.times);
+      document.getElementById("dateFrom").value = state.from;
+      document.getElementById("dateTo").value = state.to;
+      this.currentDateFilter =
+        state.from || state.to ? "custom" : state.range;
+      this.hiddenCategories = new Set(state.hidden);
+      this.listView = state.view;
+
+      const radiusSelect = document.getElementById("radiusSelect");
+      const radiusOption = radiusSelect?.querySelector(
+        `option[value="${state.radius}"]`
+      );
+      this.searchRadius = radiusOption ? state.radius : this.defaultSearchRadius;
+      if (radiusSelect) radiusSelect.value = String(this.searchRadius);
+      this.updateDateFilterButtons();
+      this.updateListViewButtons();
+      this.updateLegend();
+
+      // A shared link should find the same place the sender searched for
+      await this.filterEvents({ geocodePlaces: true });
+
+      if (state.map) {
+        this.map.setView([state.map.lat, state.map.lng], state.map.zoom, {
+          animate: false,
+        });
+      }
+
+      const event = this.events.find((e) => String(e.id) === state.event);
+      this.selectedEventId = event ? event.id : null;
+      if (event && !state.map) {
+        this.focusEvent(event.id);
+      } else if (event) {
+        this.highlightEvent(event.id);
+      }
+    } finally {
+      this.isRestoringUrlState = false;
+    }
+  }
+
   formatDate(dateString) {
     const options = { year: "numeric", month: "long", day: "numeric" };
     return new Date(dateString).toLocaleDateString("en-AU", options);
   }
 
   getCategoryColorClass(category) {
-    const colorMap = {
-      "breakfast-club": "bg-orange-500",
-      "drop-in": "bg-blue-500",
-      meeting: "bg-gray-700",
-      workshop: "bg-yellow-500",
-      social: "bg-purple-500",
-      support: "bg-green-500",
-      sport: "bg-red-500",
-      other: "bg-gray-400",
-    };
-    return colorMap[category] || "bg-gray-400";
+    return this.categories.get(category).color;
   }
 
   formatCategoryName(category) {
-    const nameMap = {
-      "breakfast-club": "Breakfast Club",
-      "drop-in": "Drop-In Centre",
-      meeting: "Association Meeting",
-      workshop: "Workshop",
-      social: "Social Event",
-      support: "Support Group",
-      sport: "Sport & Recreation",
-      other: "Other",
-    };
-    return nameMap[category] || category;
+    return this.categories.get(category).label;
   }
 
   // Distance calculation using Haversine formula
@@ -1562,53 +3111,19 @@ class EventMap {
       // Geocode the place name
       const cleanPlace = placeName.trim() + ", Northeast England, UK";
 
-      // Try Google Geocoding API if available
-      if (
-        typeof config !== "undefined" &&
-        config?.ENABLE_GEOCODING &&
-        config?.GEOCODING_API_KEY &&
-        config.GEOCODING_API_KEY !== "your-geocoding-api-key-here"
-      ) {
-        const response = await fetch(
-          `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(
-            cleanPlace
-          )}&key=${config.GEOCODING_API_KEY}`
-        );
-
-        if (response.ok) {
-          const data = await response.json();
-          if (data.results && data.results.length > 0) {
-            const location = data.results[0].geometry.location;
-            return {
-              lat: location.lat,
-              lng: location.lng,
-              radius: 20,
-              isPlace: true,
-            };
-          }
-        }
+      if (!this.geocoder) {
+        throw new Error("Geocoding unavailable");
       }
 
-      // Fallback: Use free Nominatim API (OpenStreetMap)
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(
-          cleanPlace
-        )}&limit=1&countrycodes=gb`
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data && data.length > 0) {
-          return {
-            lat: parseFloat(data[0].lat),
-            lng: parseFloat(data[0].lon),
-            radius: 20,
-            isPlace: true,
-          };
-        }
-      }
+      const coords = await this.geocoder.geocode(cleanPlace, { kind: "place" });
 
-      throw new Error("Place not found");
+      return {
+        lat: coords.lat,
+        lng: coords.lng,
+        radius: this.searchRadius,
+        isPlace: true,
+        placeName: placeName.trim(),
+      };
     } catch (error) {
       console.warn("Place name geocoding failed:", error);
       return null;
@@ -1621,69 +3136,64 @@ class EventMap {
       const cleanPostcode = postcode.replace(/\s+/g, " ").trim().toUpperCase();
 
       // Determine if it's a partial postcode
-      const isPartial =
-        !/^[A-Z]{1,2}[0-9][A-Z0-9]?\s[0-9][A-Z]{2}$/.test(cleanPostcode) &&
-        !/^[A-Z]{1,2}[0-9][A-Z0-9]?[0-9][A-Z]{2}$/.test(
-          cleanPostcode.replace(/\s/g, "")
-        );
+      const isPartial = this.isPartialPostcode(cleanPostcode);
 
       let searchQuery = cleanPostcode;
-      let searchRadius = 15; // Default search radius in km
-
-      // Try Google Geocoding API if available
-      if (
-        typeof config !== "undefined" &&
-        config?.ENABLE_GEOCODING &&
-        config?.GEOCODING_API_KEY &&
-        config.GEOCODING_API_KEY !== "your-geocoding-api-key-here"
-      ) {
-        const response = await fetch(
-          `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(
-            searchQuery
-          )}&key=${config.GEOCODING_API_KEY}`
-        );
+      const searchRadius = this.searchRadius;
 
-        if (response.ok) {
-          const data = await response.json();
-          if (data.results && data.results.length > 0) {
-            const location = data.results[0].geometry.location;
-            return {
-              lat: location.lat,
-              lng: location.lng,
-              radius: searchRadius,
-              isPartial: isPartial,
-            };
-          }
-        }
+      if (!this.geocoder) {
+        throw new Error("Geocoding unavailable");
       }
 
-      // Fallback: Use free Nominatim API (OpenStreetMap)
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(
-          searchQuery
-        )}&limit=1&countrycodes=gb`
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        if (data && data.length > 0) {
-          return {
-            lat: parseFloat(data[0].lat),
-            lng: parseFloat(data[0].lon),
-            radius: searchRadius,
-            isPartial: isPartial,
-          };
-        }
+      let coords;
+      try {
+        // Partial postcodes resolve offline from the bundled outcode table
+        coords = await this.geocoder.geocode(searchQuery, {
+          kind: "postcode",
+        });
+      } catch (error) {
+        // Offline or unknown full postcode - fall back to its outcode area
+        const centroid =
+          window.NorthEastOutcodes?.lookupOutcodeCentroid(searchQuery);
+        if (!centroid) throw error;
+
+        console.warn(
+          `Postcode lookup failed, searching around ${centroid.outcode} instead:`,
+          error.message
+        );
+        return {
+          lat: centroid.lat,
+          lng: centroid.lng,
+          radius: searchRadius,
+          isPartial: true,
+        };
       }
 
-      throw new Error("Postcode not found");
+      return {
+        lat: coords.lat,
+        lng: coords.lng,
+        radius: searchRadius,
+        isPartial: isPartial,
+      };
     } catch (error) {
       console.warn("Postcode geocoding failed:", error);
       return null;
     }
   }
 
-  populateCategoryFilter() {
+  // Check if a postcode is only an outcode (e.g. "TS28") rather than a full postcode
+  isPartialPostcode(postcode) {
+    const compact = postcode.replace(/\s+/g, "").toUpperCase();
+    return !/^[A-Z]{1,2}[0-9][A-Z0-9]?[0-9][A-Z]{2}$/.test(compact);
+  }
+
+  /**
+   * Show a chip for each category that has events, with the number of events
+   * it would match given the other filters
+   * @param {Array<Object>} [events] - Events matching every filter except the
+   *   category chips
+   */
+  populateCategoryFilter(events = this.events) {
     // Get all unique categories from events
     const allCategories = new Set();
 
@@ -1697,58 +3207,145 @@ class EventMap {
       }
     });
 
-    // Remove 'other' if no events are actually categorized as 'other'
-    const availableCategories = Array.from(allCategories).filter(
-      (cat) => cat && cat !== "other"
+    // Taxonomy order, with 'other' last when any events fall into it
+    const availableCategories = this.categories.sortIds(
+      Array.from(allCategories).filter(Boolean)
     );
 
-    // Add 'other' only if there are events with 'other' category
-    if (allCategories.has("other")) {
-      availableCategories.push("other");
+    const categoryFilter = document.getElementById("categoryFilter");
+    if (!categoryFilter) return;
+
+    // Chips for categories that actually have events, kept even when the
+    // other filters leave them with none so selections stay visible. In
+    // "all" mode a chip counts the events that would match with it added.
+    const chips = availableCategories
+      .map((category) => {
+        const isSelected = this.selectedCategories.has(category);
+        const withCategory = new Set([...this.selectedCategories, category]);
+        const eventCount = events.filter((event) =>
+          this.categoryMatch === "all"
+            ? window.EventFilters.matchesCategories(event, withCategory, "all")
+            : window.EventFilters.hasCategory(event, category)
+        ).length;
+
+        return `<button type="button" data-category="${category}" aria-pressed="${isSelected}"
+                    class="${this.getFilterChipClass(isSelected)}${
+          eventCount === 0 && !isSelected ? " opacity-50" : ""
+        }">${this.formatCategoryName(
+          category
+        )} <span class="opacity-75">(${eventCount})</span></button>`;
+      })
+      .join("");
+
+    this.renderFilterChips(categoryFilter, chips, "data-category");
+    this.updateCategoryMatchButtons();
+  }
+
+  populateDayAndTimeFilters() {
+    const dayFilter = document.getElementById("dayFilter");
+    const timeFilter = document.getElementById("timeFilter");
+
+    if (dayFilter) {
+      const chips = window.EventFilters.DAYS_OF_WEEK.map((day) => {
+        const isSelected = this.selectedDays.has(day.id);
+        return `<button type="button" data-day="${day.id}" aria-pressed="${isSelected}"
+                    title="${day.name}" class="${this.getFilterChipClass(
+          isSelected
+        )}">${day.label}</button>`;
+      }).join("");
+      this.renderFilterChips(dayFilter, chips, "data-day");
     }
 
-    // Sort categories for consistent display
-    availableCategories.sort();
+    if (timeFilter) {
+      const chips = window.EventFilters.TIMES_OF_DAY.map((time) => {
+        const isSelected = this.selectedTimesOfDay.has(time.id);
+        return `<button type="button" data-time-of-day="${time.id}" aria-pressed="${isSelected}"
+                    title="${time.description}" class="${this.getFilterChipClass(
+          isSelected
+        )}">${time.label}</button>`;
+      }).join("");
+      this.renderFilterChips(timeFilter, chips, "data-time-of-day");
+    }
+  }
 
-    // Get the select element
-    const categoryFilter = document.getElementById("categoryFilter");
-    const currentValue = categoryFilter.value; // Preserve current selection
-
-    // Clear existing options except "All Categories"
-    categoryFilter.innerHTML = '<option value="">All Categories</option>';
-
-    // Add options for categories that actually have events
-    availableCategories.forEach((category) => {
-      const option = document.createElement("option");
-      option.value = category;
-
-      // Count events in this category for display
-      const eventCount = this.events.filter(
-        (event) =>
-          event.category === category ||
-          (event.categories && event.categories.includes(category))
-      ).length;
-
-      option.textContent = `${this.formatCategoryName(
-        category
-      )} (${eventCount})`;
-
-      // Restore previous selection if it still exists
-      if (category === currentValue) {
-        option.selected = true;
-      }
+  /**
+   * Replace a group of filter chips, keeping keyboard focus on the chip that
+   * had it so toggling one with Enter or Space doesn't lose your place
+   * @param {HTMLElement} container - Chip group
+   * @param {string} html - New chips
+   * @param {string} idAttribute - Attribute holding each chip's id, e.g.
+   *   "data-day"
+   */
+  renderFilterChips(container, html, idAttribute) {
+    const focusedId = container.contains(document.activeElement)
+      ? document.activeElement.getAttribute(idAttribute)
+      : null;
+
+    container.innerHTML = html;
+
+    if (focusedId !== null) {
+      Array.from(container.children)
+        .find((chip) => chip.getAttribute(idAttribute) === focusedId)
+        ?.focus();
+    }
+  }
+
+  getFilterChipClass(isSelected) {
+    return `px-3 py-1 rounded-full border text-sm transition-colors ${
+      isSelected
+        ? "bg-blue-500 border-blue-500 text-white"
+        : "bg-white border-gray-300 text-gray-700 hover:bg-gray-100"
+    }`;
+  }
 
-      categoryFilter.appendChild(option);
+  updateCategoryMatchButtons() {
+    document.querySelectorAll("[data-category-match]").forEach((button) => {
+      const isActive = button.dataset.categoryMatch === this.categoryMatch;
+      button.classList.toggle("bg-blue-500", isActive);
+      button.classList.toggle("text-white", isActive);
+      button.classList.toggle("bg-white", !isActive);
+      button.classList.toggle("text-gray-700", !isActive);
+      button.setAttribute("aria-pressed", String(isActive));
     });
   }
 
+  /**
+   * Switch a category, day or time of day chip on or off
+   * @param {Set<string>} selection - this.selectedCategories, selectedDays
+   *   or selectedTimesOfDay
+   * @param {string} id - Chip id
+   */
+  async toggleFilterChip(selection, id) {
+    if (selection.has(id)) {
+      selection.delete(id);
+    } else {
+      selection.add(id);
+    }
+    this.currentPage = 0;
+    await this.filterEvents();
+  }
+
+  /**
+   * Choose whether events need any or all of the selected categories
+   * @param {string} match - 'any' or 'all'
+   */
+  async setCategoryMatch(match) {
+    if (match === this.categoryMatch) return;
+    this.categoryMatch = match;
+    this.currentPage = 0;
+    await this.filterEvents();
+  }
+
   // Method to add new events (for future WordPress integration)
   addEvent(eventData) {
     const newEvent = {
-      id: this.events.length + 1,
+      id: String(this.events.length + 1),
       ...eventData,
     };
     this.events.push(newEvent);
+    this.searchIndex = new window.SearchIndex(this.events);
+    this.seriesStarts.clear();
+    this.recurrenceRules.clear();
     this.filterEvents(); // Refresh display
   }
 
@@ -1776,8 +3373,9 @@ window.EventMapAPI = {
   addEvent: (eventData) => eventMap?.addEvent(eventData),
   getEvents: () => eventMap?.getEvents() || [],
   filterByCategory: (category) => {
-    document.getElementById("categoryFilter").value = category;
-    eventMap?.filterEvents();
+    if (!eventMap) return;
+    eventMap.selectedCategories = new Set(category ? [category] : []);
+    eventMap.filterEvents();
   },
   searchEvents: (query) => {
     document.getElementById("searchInput").value = query;